@@ -0,0 +1,473 @@
+// Escrow.com API - Audit Trail
+// Merges a transaction's timeline entries with what its current state says
+// happened (who agreed, when payment was secured, how each item shipped,
+// acceptance, rejection and disbursement) into one chronological list of
+// events, and renders it as Markdown, CSV, JSON Lines or a standalone HTML
+// page, e.g. as evidence in a dispute.
+//
+//   const trail = await escrow.getAuditTrail(transactionId);
+//   fs.writeFileSync("transaction-1000.html", renderAuditTrail(trail, "html"));
+
+const { TransactionStateMachine } = require("./transactionStateMachine");
+const { Money } = require("./money");
+
+const asArray = (value) =>
+  Array.isArray(value)
+    ? value.filter((entry) => entry && typeof entry === "object")
+    : [];
+
+// ================================
+// 1. EVENTS
+// ================================
+
+// Event kinds in lifecycle order; the order places events whose time the
+// API does not record. "note" is a timeline entry of any other kind.
+const EVENT_KINDS = [
+  "created",
+  "agreed",
+  "payment_method",
+  "secured",
+  "shipped",
+  "received",
+  "accepted",
+  "rejected",
+  "disbursement_method",
+  "disbursed",
+  "cancelled",
+  "note",
+];
+
+const rank = (kind) => (kind === "note" ? Infinity : EVENT_KINDS.indexOf(kind));
+
+// Timeline messages are free text; the first pattern that matches one
+// gives its kind
+const TIMELINE_PATTERNS = [
+  ["disbursement_method", /disbursement method/i],
+  ["payment_method", /payment method/i],
+  ["created", /\bcreated\b/i],
+  ["agreed", /\bagree/i],
+  ["secured", /\b(payment|funds?)\b.*\b(secured|received)\b/i],
+  ["shipped", /\bshipped\b/i],
+  ["received", /\breceived\b/i],
+  ["accepted", /\baccepted\b/i],
+  ["rejected", /\brejected\b/i],
+  ["disbursed", /\b(disbursed|released)\b/i],
+  ["cancelled", /\bcancel/i],
+];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+
+function classify(message) {
+  const match = TIMELINE_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : "note";
+}
+
+function toISO(date) {
+  if (!date) return null;
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+const describeAmount = (amounts, currency) => {
+  const total = Money.sum(amounts, currency);
+  return `${total.toString()} ${total.currency.toUpperCase()}`;
+};
+
+// What the transaction's current state says has happened; only the
+// creation carries a time
+function stateEvents(transaction) {
+  const currency = transaction.currency || "usd";
+  const events = [];
+  const add = (kind, actor, summary, details = {}, at = null) =>
+    events.push({ at, kind, actor, summary, details });
+
+  const parties = asArray(transaction.parties);
+  const initiator = parties.find((party) => party.initiator);
+  if (transaction.creation_date) {
+    add(
+      "created",
+      initiator ? initiator.customer : null,
+      "Transaction created",
+      transaction.description ? { description: transaction.description } : {},
+      toISO(transaction.creation_date)
+    );
+  }
+  parties
+    .filter((party) => party.agreed)
+    .forEach((party) =>
+      add("agreed", party.customer, `${party.customer} agreed to the terms`)
+    );
+
+  const buyer = parties.find((party) => party.role === "buyer");
+  if (transaction.payment_method) {
+    add(
+      "payment_method",
+      buyer ? buyer.customer : null,
+      `Payment method selected: ${transaction.payment_method}`,
+      { payment_method: transaction.payment_method }
+    );
+  }
+
+  for (const item of asArray(transaction.items)) {
+    const title = item.title || `item ${item.id}`;
+    const schedule = asArray(item.schedule);
+    const status = item.status || {};
+    const payer = schedule.length ? schedule[0].payer_customer : null;
+    const beneficiary = schedule.length
+      ? schedule[0].beneficiary_customer
+      : null;
+
+    const secured = schedule.filter(
+      (entry) =>
+        TransactionStateMachine.scheduleState(entry) !== "pending_payment"
+    );
+    if (secured.length > 0) {
+      const amount = describeAmount(
+        secured.map((entry) => entry.amount),
+        currency
+      );
+      add("secured", payer, `Payment of ${amount} secured for ${title}`, {
+        item: title,
+        amount,
+      });
+    }
+
+    if (status.shipped) {
+      const shipping = item.shipping_information || {};
+      const tracking = shipping.tracking_information || {};
+      const details = { item: title };
+      if (tracking.carrier) details.carrier = tracking.carrier;
+      if (tracking.tracking_id) details.tracking_id = tracking.tracking_id;
+      const via = tracking.carrier ? ` via ${tracking.carrier}` : "";
+      const number = tracking.tracking_id
+        ? `, tracking ${tracking.tracking_id}`
+        : "";
+      add("shipped", beneficiary, `${title} shipped${via}${number}`, details);
+    }
+    if (status.received) {
+      add("received", payer, `${title} received`, { item: title });
+    }
+    if (status.accepted) {
+      add("accepted", payer, `${title} accepted`, { item: title });
+    }
+    if (status.rejected) {
+      const info = item.rejection_information || {};
+      const details = { item: title };
+      if (info.rejection_reason) details.reason = info.rejection_reason;
+      add("rejected", payer, `${title} rejected`, details);
+    }
+
+    const disbursed = schedule.filter(
+      (entry) => TransactionStateMachine.scheduleState(entry) === "disbursed"
+    );
+    if (disbursed.length > 0) {
+      const amount = describeAmount(
+        disbursed.map((entry) => entry.amount),
+        currency
+      );
+      add(
+        "disbursed",
+        null,
+        `${amount} for ${title} released to ${beneficiary}`,
+        {
+          item: title,
+          amount,
+          beneficiary,
+        }
+      );
+    }
+  }
+
+  if (transaction.is_cancelled) add("cancelled", null, "Transaction cancelled");
+  return events;
+}
+
+// Chronological audit trail of a transaction. `timeline` is the
+// getTimeline() response or its list of entries. Each state fact is merged
+// into the timeline entry that reports it, taking its time; facts no entry
+// reports are placed by lifecycle order, with `at` null.
+function buildAuditTrail(transaction = {}, timeline = []) {
+  const entries = Array.isArray(timeline)
+    ? timeline
+    : (timeline && timeline.timeline_entries) || [];
+  const parties = asArray(transaction.parties);
+  const roleOf = (email) => {
+    const party = parties.find((p) => p.customer === email);
+    return party ? party.role : null;
+  };
+
+  const events = asArray(entries).map((entry) => {
+    const message = String(entry.message || "");
+    const email = message.match(EMAIL_PATTERN);
+    return {
+      at: toISO(entry.date),
+      kind: classify(message),
+      actor: email ? email[0] : null,
+      summary: message,
+      details: {},
+      message,
+      source: "timeline",
+    };
+  });
+
+  const undated = [];
+  for (const fact of stateEvents(transaction)) {
+    const match = events.find(
+      (event) =>
+        event.source === "timeline" &&
+        event.kind === fact.kind &&
+        (!event.actor || !fact.actor || event.actor === fact.actor)
+    );
+    if (match) {
+      Object.assign(match, {
+        actor: match.actor || fact.actor,
+        summary: fact.summary,
+        details: fact.details,
+        source: "timeline+state",
+      });
+    } else if (fact.at) {
+      events.push({ ...fact, message: null, source: "state" });
+    } else {
+      undated.push({ ...fact, message: null, source: "state" });
+    }
+  }
+
+  // Dated events by time (entries without a time keep their place after
+  // them), then each undated one after the last event that comes before it
+  // in the lifecycle
+  const trail = events
+    .map((event, index) => ({ event, index }))
+    .sort(
+      (a, b) =>
+        (a.event.at ? Date.parse(a.event.at) : Infinity) -
+          (b.event.at ? Date.parse(b.event.at) : Infinity) || a.index - b.index
+    )
+    .map(({ event }) => event);
+  for (const event of undated) {
+    let position = 0;
+    trail.forEach((other, i) => {
+      if (rank(other.kind) <= rank(event.kind)) position = i + 1;
+    });
+    trail.splice(position, 0, event);
+  }
+
+  return {
+    transaction: {
+      id: transaction.id == null ? null : transaction.id,
+      description: transaction.description || "",
+      status: TransactionStateMachine.transactionState(transaction),
+      total: describeAmount(
+        asArray(transaction.items).flatMap((item) =>
+          asArray(item.schedule).map((entry) => entry.amount)
+        ),
+        transaction.currency || "usd"
+      ),
+      parties: parties.map((party) => ({
+        customer: party.customer,
+        role: party.role,
+        agreed: Boolean(party.agreed),
+      })),
+    },
+    events: trail.map((event) => ({
+      ...event,
+      role: event.actor ? roleOf(event.actor) : null,
+    })),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// ================================
+// 2. FORMATS
+// ================================
+
+const AUDIT_FORMATS = ["markdown", "csv", "jsonl", "html"];
+
+// "2026-01-05 10:00:00 UTC"
+function formatTime(at) {
+  if (!at) return "time not recorded";
+  return `${at.slice(0, 10)} ${at.slice(11, 19)} UTC`;
+}
+
+const formatActor = ({ actor, role }) =>
+  actor ? (role ? `${actor} (${role})` : actor) : "";
+
+const formatDetails = (details) =>
+  Object.entries(details || {})
+    .map(([key, value]) => `${key.replace(/_/g, " ")}: ${value}`)
+    .join("; ");
+
+const formatParties = (parties) =>
+  parties
+    .map(
+      (party) =>
+        `${party.customer} (${party.role}${party.agreed ? ", agreed" : ""})`
+    )
+    .join("; ");
+
+// Header lines shared by the Markdown and HTML pages
+const summaryRows = ({ transaction, generatedAt }) => [
+  ["Description", transaction.description],
+  ["Status", transaction.status],
+  ["Total", transaction.total],
+  ["Parties", formatParties(transaction.parties)],
+  ["Generated", formatTime(generatedAt)],
+];
+
+const markdownCell = (value) =>
+  String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+
+function toMarkdown(trail) {
+  return [
+    `# Audit trail for transaction ${trail.transaction.id}`,
+    "",
+    ...summaryRows(trail).map(
+      ([label, value]) => `- **${label}:** ${markdownCell(value)}`
+    ),
+    "",
+    "| Time | Actor | Event | Details |",
+    "| --- | --- | --- | --- |",
+    ...trail.events.map(
+      (event) =>
+        `| ${[
+          formatTime(event.at),
+          formatActor(event),
+          event.summary,
+          formatDetails(event.details),
+        ]
+          .map(markdownCell)
+          .join(" | ")} |`
+    ),
+    "",
+  ].join("\n");
+}
+
+const CSV_COLUMNS = ["time", "kind", "actor", "role", "summary", "details"];
+
+// Cells starting with = + - @ (or a tab or carriage return) would be read as
+// formulas by a spreadsheet; messages and rejection reasons come from other
+// parties, so such cells get a leading apostrophe
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(trail) {
+  const rows = trail.events.map((event) => [
+    event.at,
+    event.kind,
+    event.actor,
+    event.role,
+    event.summary,
+    formatDetails(event.details),
+  ]);
+  return `${[CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n")}\r\n`;
+}
+
+// One event per line, each tagged with the transaction id
+function toJSONLines(trail) {
+  return trail.events
+    .map((event) =>
+      JSON.stringify({ transaction_id: trail.transaction.id, ...event })
+    )
+    .map((line) => `${line}\n`)
+    .join("");
+}
+
+function escapeHTML(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// A single self-contained page: no scripts, styles inline
+function toHTML(trail) {
+  const title = `Audit trail for transaction ${trail.transaction.id}`;
+  const summary = summaryRows(trail)
+    .map(
+      ([label, value]) =>
+        `      <dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`
+    )
+    .join("\n");
+  const rows = trail.events
+    .map((event) =>
+      [
+        `      <tr class="${escapeHTML(event.kind)}">`,
+        `        <td>${escapeHTML(formatTime(event.at))}</td>`,
+        `        <td>${escapeHTML(formatActor(event))}</td>`,
+        `        <td>${escapeHTML(event.summary)}</td>`,
+        `        <td>${escapeHTML(formatDetails(event.details))}</td>`,
+        "      </tr>",
+      ].join("\n")
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHTML(title)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+      dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+      dt { font-weight: 600; }
+      table { border-collapse: collapse; width: 100%; margin-top: 1.5rem; }
+      th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+      th { background: #f4f4f4; }
+      tr.cancelled td, tr.rejected td { color: #a00; }
+      footer { margin-top: 1.5rem; font-size: 0.85rem; color: #666; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHTML(title)}</h1>
+    <dl>
+${summary}
+    </dl>
+    <table>
+      <tr><th>Time</th><th>Actor</th><th>Event</th><th>Details</th></tr>
+${rows}
+    </table>
+    <footer>
+      Generated ${escapeHTML(formatTime(trail.generatedAt))} from the
+      transaction and its timeline as returned by the Escrow.com API.
+    </footer>
+  </body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  markdown: toMarkdown,
+  csv: toCSV,
+  jsonl: toJSONLines,
+  html: toHTML,
+};
+
+// Render a trail in one of AUDIT_FORMATS
+function renderAuditTrail(trail, format = "markdown") {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(
+      `Unknown audit trail format: ${format} (use ${AUDIT_FORMATS.join(", ")})`
+    );
+  }
+  return render(trail);
+}
+
+module.exports = {
+  EVENT_KINDS,
+  AUDIT_FORMATS,
+  buildAuditTrail,
+  renderAuditTrail,
+  toMarkdown,
+  toCSV,
+  toJSONLines,
+  toHTML,
+};
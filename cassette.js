@@ -0,0 +1,303 @@
+// Escrow.com API - Cassettes
+// Record real API traffic once and replay it offline. A cassette sits at the
+// makeRequest level: in record mode every request the client makes and the
+// result (or API error) it got back is written to a JSON file, with
+// credentials, bank details and personal data scrubbed; in replay mode the
+// same calls are answered from the file without any network access, and a
+// call that was never recorded throws an EscrowCassetteError.
+//
+//   const cassette = Cassette.record("cassettes/checkout.json");
+//   const escrow = new EscrowClient(email, password, false, { cassette });
+//   ...later, offline:
+//   const escrow = new EscrowClient(email, password, false, {
+//     cassette: Cassette.replay("cassettes/checkout.json"),
+//   });
+
+const fs = require("fs");
+const path = require("path");
+const { EscrowError } = require("./escrowService");
+const { redact, REDACTED } = require("./logger");
+
+// ================================
+// 1. SCRUBBING
+// ================================
+
+// Personal data masked wherever it appears, on top of the credentials and
+// bank details logger.redact() masks; compared like logger keys
+const PERSONAL_KEYS = [
+  "first_name",
+  "middle_name",
+  "last_name",
+  "display_name",
+  "full_name",
+  "company",
+  "phone_number",
+  "date_of_birth",
+  "address",
+  "line1",
+  "line2",
+  "city",
+  "state",
+  "post_code",
+  "tax_id",
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/_/g, "");
+const PERSONAL = new Set(PERSONAL_KEYS.map(normalizeKey));
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Deep copy of `value` with personal keys masked and every email address
+// (in any string, e.g. a CSV report) passed through replaceEmail
+function scrubValue(value, replaceEmail) {
+  if (typeof value === "string") {
+    return value.replace(EMAIL_PATTERN, replaceEmail);
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => scrubValue(entry, replaceEmail));
+  }
+  if (!value || typeof value !== "object") return value;
+
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    copy[key] = PERSONAL.has(normalizeKey(key))
+      ? REDACTED
+      : scrubValue(entry, replaceEmail);
+  }
+  return copy;
+}
+
+const orNull = (value) => (value == null ? null : value);
+
+// Recorded requests are matched with every email address (scrubbed to a
+// pseudonym on disk) treated as equal, so a cassette recorded with one
+// account replays for another
+const normalize = (value) => orNull(scrubValue(redact(value), () => "<email>"));
+
+const sameValue = (a, b) =>
+  JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// ================================
+// 2. CASSETTE
+// ================================
+
+const MODES = ["record", "replay"];
+
+// A call that is not on the cassette, or a cassette that cannot be used
+class EscrowCassetteError extends EscrowError {
+  constructor(message, details = {}) {
+    super(message, null, null, details);
+    this.name = "EscrowCassetteError";
+  }
+}
+
+class Cassette {
+  // Options: mode ("record" or "replay"), scrub (default true; false
+  // records everything as sent and received) and matchBody (replay only
+  // answers a POST/PATCH whose body matches the recorded one; default true)
+  constructor(filePath, options = {}) {
+    const { mode = "replay", scrub = true, matchBody = true } = options;
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.scrubbing = scrub;
+    this.matchBody = matchBody;
+    this.interactions = null;
+    this.played = new Set();
+    this.emails = new Map();
+  }
+
+  static record(filePath, options = {}) {
+    return new Cassette(filePath, { ...options, mode: "record" });
+  }
+
+  static replay(filePath, options = {}) {
+    return new Cassette(filePath, { ...options, mode: "replay" });
+  }
+
+  // Recording starts from an empty cassette, replacing the file on the
+  // first save; replaying reads the file once
+  async load() {
+    if (this.interactions) return this.interactions;
+    if (this.mode === "record") {
+      this.interactions = [];
+      return this.interactions;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      throw new EscrowCassetteError(
+        `Cannot read cassette ${this.filePath}: ${error.message}`,
+        { cause: error }
+      );
+    }
+    this.interactions = JSON.parse(content).interactions || [];
+    return this.interactions;
+  }
+
+  async save() {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), {
+      recursive: true,
+    });
+    const content = { version: 1, interactions: this.interactions || [] };
+    await fs.promises.writeFile(
+      this.filePath,
+      `${JSON.stringify(content, null, 2)}\n`
+    );
+  }
+
+  // Called by makeRequest with the request { method, endpoint, body, raw }
+  // and a send() performing it against the API
+  async run(request, send) {
+    await this.load();
+    return this.mode === "record"
+      ? this.recordCall(request, send)
+      : this.replayCall(request);
+  }
+
+  // ---------- record ----------
+
+  async recordCall(request, send) {
+    const interaction = {
+      request: this.scrub({
+        method: request.method,
+        endpoint: request.endpoint,
+        body: orNull(request.body),
+      }),
+    };
+
+    let result;
+    try {
+      result = await send();
+    } catch (error) {
+      // Only answers from the API are replayable; network failures, timeouts
+      // and aborts are left off the cassette
+      if (error instanceof EscrowError && error.statusCode != null) {
+        interaction.error = this.scrub({
+          status: error.statusCode,
+          body: orNull(error.response),
+        });
+        await this.append(interaction);
+      }
+      throw error;
+    }
+
+    if (request.raw) {
+      // A raw Response is recorded from a copy; the caller still reads it
+      const text = await result.clone().text();
+      interaction.response = this.scrub({
+        status: result.status,
+        contentType: result.headers.get("content-type") || "",
+        text,
+      });
+    } else {
+      interaction.result = this.scrub(orNull(result));
+    }
+    await this.append(interaction);
+    return result;
+  }
+
+  async append(interaction) {
+    this.interactions.push(interaction);
+    await this.save();
+  }
+
+  // Same email, same pseudonym, throughout one cassette
+  pseudonym(email) {
+    const key = email.toLowerCase();
+    if (!this.emails.has(key)) {
+      this.emails.set(key, `customer${this.emails.size + 1}@example.com`);
+    }
+    return this.emails.get(key);
+  }
+
+  scrub(value) {
+    if (!this.scrubbing) return value;
+    return scrubValue(redact(value), (email) => this.pseudonym(email));
+  }
+
+  // ---------- replay ----------
+
+  // Interactions for the same method and endpoint are played in recorded
+  // order, each once
+  async replayCall(request) {
+    const { method, endpoint } = request;
+    const candidates = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(
+        ({ interaction, index }) =>
+          !this.played.has(index) &&
+          interaction.request.method === method &&
+          sameValue(interaction.request.endpoint, endpoint)
+      );
+    const details = { method, url: endpoint };
+
+    if (candidates.length === 0) {
+      const recorded = this.interactions.some(
+        ({ request: r }) =>
+          r.method === method && sameValue(r.endpoint, endpoint)
+      );
+      throw new EscrowCassetteError(
+        recorded
+          ? `Cassette ${this.filePath} has no more responses for ${method} ${endpoint}`
+          : `Cassette ${this.filePath} has no recording of ${method} ${endpoint}`,
+        details
+      );
+    }
+
+    const { interaction, index } = candidates[0];
+    if (
+      this.matchBody &&
+      ["POST", "PATCH"].includes(method) &&
+      !sameValue(interaction.request.body, orNull(request.body))
+    ) {
+      throw new EscrowCassetteError(
+        `Cassette ${this.filePath} recorded ${method} ${endpoint} with a different body:\n` +
+          `  recorded: ${JSON.stringify(
+            normalize(interaction.request.body)
+          )}\n` +
+          `  sent:     ${JSON.stringify(normalize(request.body))}`,
+        details
+      );
+    }
+    this.played.add(index);
+
+    if (interaction.error) {
+      const { status, body } = interaction.error;
+      throw await EscrowError.fromResponse(
+        new Response(body == null ? null : JSON.stringify(body), {
+          status,
+          headers: { "Content-Type": "application/json" },
+        }),
+        details
+      );
+    }
+    if (interaction.response) {
+      const { status, contentType, text } = interaction.response;
+      return new Response(text, {
+        status,
+        headers: { "Content-Type": contentType },
+      });
+    }
+    return interaction.result;
+  }
+
+  // Recorded interactions the replay has not used yet, e.g. to assert that
+  // a test made every call it used to
+  unplayed() {
+    return (this.interactions || [])
+      .filter((interaction, index) => !this.played.has(index))
+      .map(({ request }) => `${request.method} ${request.endpoint}`);
+  }
+}
+
+module.exports = {
+  Cassette,
+  EscrowCassetteError,
+  PERSONAL_KEYS,
+  scrubValue,
+};
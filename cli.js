@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+
+// Escrow.com API - Command Line Tool
+// Wraps EscrowClient so transactions can be looked up and acted on without
+// writing one-off scripts. Run `escrow help` for the list of commands.
+
+// Keep dotenv's startup banner out of stdout, which carries the result
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || "true";
+require("dotenv").config();
+const fs = require("fs");
+const { EscrowClient } = require("./escrowService");
+const { EnvCredentialProvider } = require("./credentials");
+const { createLogger } = require("./logger");
+const { AUDIT_FORMATS, renderAuditTrail } = require("./auditTrail");
+
+// ================================
+// 1. ARGUMENT PARSING
+// ================================
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = [
+  "json",
+  "table",
+  "all",
+  "help",
+  "production",
+  "verbose",
+  "dry-run",
+  "stop-on-error",
+];
+
+// Split argv into positional arguments and --flag / --flag=value options
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+
+  return { positional, flags };
+}
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// ================================
+// 2. PROFILES & INPUT
+// ================================
+
+// Credentials come from .env. The default profile reads ESCROW_EMAIL,
+// ESCROW_API_KEY (or ESCROW_PASSWORD) and ESCROW_SANDBOX; --profile ops reads
+// the same variables prefixed ESCROW_OPS_ instead.
+function loadProfile(flags, env) {
+  const prefix = flags.profile
+    ? `ESCROW_${flags.profile.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`
+    : "ESCROW_";
+
+  const secret = env[`${prefix}API_KEY`] || env[`${prefix}PASSWORD`];
+  if (!env[`${prefix}EMAIL`] || !secret) {
+    throw new UsageError(
+      `Set ${prefix}EMAIL and ${prefix}API_KEY or ${prefix}PASSWORD in your .env file`
+    );
+  }
+
+  const sandbox = env[`${prefix}SANDBOX`];
+  return {
+    credentials: new EnvCredentialProvider({ prefix, env }),
+    isProduction: flags.production === true || sandbox === "false",
+    baseURL: flags["base-url"] || env[`${prefix}BASE_URL`],
+  };
+}
+
+// Read a JSON payload from --file <path>, or from stdin with --file -
+async function readPayload(flags, io) {
+  if (!flags.file) {
+    throw new UsageError("This command needs a JSON payload: --file <path|->");
+  }
+
+  const text =
+    flags.file === "-"
+      ? await readStream(io.stdin)
+      : await fs.promises.readFile(flags.file, "utf8");
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Payload is not valid JSON: ${error.message}`);
+  }
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => (text += chunk));
+    stream.on("end", () => resolve(text));
+    stream.on("error", reject);
+  });
+}
+
+function requireArg(value, name) {
+  if (value === undefined) throw new UsageError(`Missing <${name}>`);
+  return value;
+}
+
+// Collect every item of an async iterator into an array
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+// ================================
+// 3. OUTPUT
+// ================================
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Render rows of objects as an aligned text table
+function renderTable(rows) {
+  if (rows.length === 0) return "(no results)";
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cells = rows.map((row) => columns.map((c) => formatCell(row[c])));
+  const widths = columns.map((column, i) =>
+    Math.min(60, Math.max(column.length, ...cells.map((row) => row[i].length)))
+  );
+  const line = (values) =>
+    values
+      .map((value, i) => value.slice(0, widths[i]).padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+// Keys holding the entries of a list response ({ transactions: [...],
+// total, ... }); other arrays, such as a transaction's parties, are fields
+const LIST_KEYS = [
+  "transactions",
+  "customers",
+  "reports",
+  "timeline_entries",
+  "available_payment_methods",
+  "saved_disbursement_methods",
+  "webhooks",
+  "api_keys",
+  "results",
+];
+
+// Listings become one row per entry; single objects a key/value table
+function toRows(result) {
+  if (Array.isArray(result)) return result;
+  if (result && typeof result === "object") {
+    const key = LIST_KEYS.find((name) => Array.isArray(result[name]));
+    if (key) return result[key];
+    return Object.entries(result).map(([name, value]) => ({
+      key: name,
+      value,
+    }));
+  }
+  return [{ value: result }];
+}
+
+function formatOutput(result, flags) {
+  const format = flags.table ? "table" : flags.output || "json";
+  if (format === "table") return renderTable(toRows(result));
+  if (format === "json") return JSON.stringify(result, null, 2);
+  throw new UsageError(`Unknown output format: ${format}`);
+}
+
+// ================================
+// 4. COMMANDS
+// ================================
+
+const COMMANDS = {
+  "customer me": {
+    usage: "customer me",
+    run: (client) => client.customers.getMyProfile(),
+  },
+
+  "tx list": {
+    usage: "tx list [--page N] [--per-page N] [--all]",
+    run: (client, args, flags) => {
+      const options = {
+        page: Number(flags.page || 1),
+        per_page: Number(flags["per-page"] || 10),
+      };
+      if (flags.all) return collect(client.transactions.iterate(options));
+      return client.transactions.listTransactions(options);
+    },
+  },
+  "tx get": {
+    usage: "tx get <transactionId>",
+    run: (client, [id]) =>
+      client.transactions.getTransaction(requireArg(id, "transactionId")),
+  },
+  "tx create": {
+    usage: "tx create --file <payload.json|->",
+    run: async (client, args, flags, io) =>
+      client.transactions.createTransaction(await readPayload(flags, io), {
+        idempotencyKey: flags["idempotency-key"],
+      }),
+  },
+  "tx agree": {
+    usage: "tx agree <transactionId>",
+    run: (client, [id]) =>
+      client.agreeToTransaction(requireArg(id, "transactionId")),
+  },
+  "tx ship": {
+    usage: "tx ship <transactionId> --carrier <name> --tracking <id>",
+    run: (client, [id], flags) =>
+      client.shipItem(
+        requireArg(id, "transactionId"),
+        requireArg(flags.carrier, "carrier"),
+        requireArg(flags.tracking, "tracking")
+      ),
+  },
+  "tx accept": {
+    usage: "tx accept <transactionId>",
+    run: (client, [id]) => client.acceptItem(requireArg(id, "transactionId")),
+  },
+  "tx reject": {
+    usage: "tx reject <transactionId> --reason <text>",
+    run: (client, [id], flags) =>
+      client.rejectItem(
+        requireArg(id, "transactionId"),
+        requireArg(flags.reason, "reason")
+      ),
+  },
+  "tx cancel": {
+    usage: "tx cancel <transactionId>",
+    run: (client, [id]) =>
+      client.cancelTransaction(requireArg(id, "transactionId")),
+  },
+  "tx bulk": {
+    usage:
+      "tx bulk <agree|cancel> <transactionId...> [--concurrency N] [--dry-run] [--stop-on-error]",
+    run: async (client, [action, ...ids], flags) => {
+      requireArg(action, "action");
+      requireArg(ids[0], "transactionId");
+      const summary = await client.transactions.bulk(ids, action, {
+        concurrency: Number(flags.concurrency || 5),
+        dryRun: Boolean(flags["dry-run"]),
+        continueOnError: !flags["stop-on-error"],
+      });
+      return {
+        ...summary,
+        results: summary.results.map(({ id, status, error }) => ({
+          id,
+          status,
+          error: error ? error.message : null,
+        })),
+      };
+    },
+  },
+  "tx timeline": {
+    usage: "tx timeline <transactionId>",
+    run: (client, [id]) =>
+      client.transactions.getTimeline(requireArg(id, "transactionId")),
+  },
+  "tx audit": {
+    usage: "tx audit <transactionId> [--format markdown|csv|jsonl|html]",
+    // Prints the rendered document as is rather than as JSON
+    text: true,
+    run: async (client, [id], flags) => {
+      requireArg(id, "transactionId");
+      const format = flags.format || "markdown";
+      if (!AUDIT_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown audit trail format: ${format}`);
+      }
+      return renderAuditTrail(await client.getAuditTrail(id), format);
+    },
+  },
+
+  "payments methods": {
+    usage: "payments methods <transactionId>",
+    run: (client, [id]) =>
+      client.payments.getPaymentMethods(requireArg(id, "transactionId")),
+  },
+
+  "disbursement set": {
+    usage: "disbursement set <transactionId> --file <payload.json|->",
+    run: async (client, [id], flags, io) =>
+      client.disbursements.setDisbursementMethod(
+        requireArg(id, "transactionId"),
+        await readPayload(flags, io)
+      ),
+  },
+
+  "partner transactions": {
+    usage: "partner transactions [--limit N] [--status S] [--all]",
+    run: (client, args, flags) => {
+      const filters = { limit: Number(flags.limit || 10) };
+      if (flags.status) filters.status = flags.status;
+      if (flags.all) {
+        return collect(client.partner.iterateTransactions(filters));
+      }
+      return client.partner.listPartnerTransactions(filters);
+    },
+  },
+  "partner customers": {
+    usage: "partner customers [--limit N] [--all]",
+    run: (client, args, flags) => {
+      const options = { limit: Number(flags.limit || 10) };
+      if (flags.all) return collect(client.partner.iterateCustomers(options));
+      return client.partner.listPartnerCustomers(options);
+    },
+  },
+  "partner reports": {
+    usage: "partner reports",
+    run: (client) => client.partner.listReports(),
+  },
+
+  "webhook list": {
+    usage: "webhook list",
+    run: (client) => client.customers.getWebhooks(),
+  },
+  "webhook create": {
+    usage: "webhook create <url>",
+    run: (client, [url]) =>
+      client.customers.createWebhook(requireArg(url, "url")),
+  },
+};
+
+function usage() {
+  return [
+    "Usage: escrow <command> [options]",
+    "",
+    "Commands:",
+    ...Object.values(COMMANDS).map((command) => `  ${command.usage}`),
+    "",
+    "Options:",
+    "  --output json|table  Output format (default json); --table is short for table",
+    "  --profile <name>     Use ESCROW_<NAME>_EMAIL / _API_KEY / _SANDBOX from .env",
+    "  --production         Use the production API instead of the sandbox",
+    "  --base-url <url>     Override the API host (e.g. a local mock server)",
+    "  --rate <N>           Send at most N requests per second",
+    "  --verbose            Log requests and responses to stderr",
+  ].join("\n");
+}
+
+// ================================
+// 5. MAIN
+// ================================
+
+// Run the CLI; resolves to the process exit code. `io` lets tests supply
+// their own env and streams.
+async function main(argv, io = {}) {
+  const { env = process.env, stdin = process.stdin } = io;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${usage()}\n`);
+    return 2;
+  }
+
+  const { positional, flags } = parsed;
+  const name = positional.slice(0, 2).join(" ");
+  const command = COMMANDS[name];
+  if (flags.help || positional.length === 0 || positional[0] === "help") {
+    stdout.write(`${usage()}\n`);
+    return 0;
+  }
+  if (!command) {
+    stderr.write(`Unknown command: ${name}\n\n${usage()}\n`);
+    return 2;
+  }
+
+  try {
+    const profile = loadProfile(flags, env);
+    // Request logs go to stderr so stdout only carries the result
+    const client = new EscrowClient(null, null, profile.isProduction, {
+      baseURL: profile.baseURL,
+      credentials: profile.credentials,
+      rateLimit: flags.rate ? { rate: Number(flags.rate) } : null,
+      logger: flags.verbose
+        ? createLogger({ level: "debug", stream: stderr })
+        : undefined,
+    });
+
+    const result = await command.run(client, positional.slice(2), flags, {
+      stdin,
+    });
+    stdout.write(command.text ? result : `${formatOutput(result, flags)}\n`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\nUsage: escrow ${command.usage}\n`);
+      return 2;
+    }
+    stderr.write(`Error: ${error.message}\n`);
+    if (error.response) {
+      stderr.write(`${JSON.stringify(error.response, null, 2)}\n`);
+    }
+    return 1;
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs, renderTable, COMMANDS };
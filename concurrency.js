@@ -0,0 +1,81 @@
+// Escrow.com API - Rate Limiting & Concurrency
+// A token-bucket rate limiter that the transport consults before every
+// request, so one limit holds across a client and all of its sub-clients,
+// and the bounded-concurrency runner behind bulk operations.
+//
+//   const escrow = new EscrowClient(email, password, false, {
+//     rateLimit: { rate: 5, burst: 10 }, // 5 requests/s, bursts of 10
+//   });
+
+// ================================
+// 1. RATE LIMITING
+// ================================
+
+class TokenBucket {
+  // rate: tokens added per second; burst: most tokens the bucket holds, i.e.
+  // requests sent back to back after a quiet spell (default: rate, at least 1)
+  constructor(options = {}) {
+    const { rate, burst = Math.max(1, Math.floor(rate)) } = options;
+    if (!(rate > 0)) {
+      throw new RangeError(`Rate limit must be above 0 per second: ${rate}`);
+    }
+    if (!(burst >= 1)) {
+      throw new RangeError(`Rate limit burst must be at least 1: ${burst}`);
+    }
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  // A limiter from the rateLimit option: an existing limiter (anything with
+  // reserve()) as is, { rate, burst } for a new bucket, null for none
+  static from(value) {
+    if (!value) return null;
+    if (typeof value.reserve === "function") return value;
+    return new TokenBucket(value);
+  }
+
+  refill() {
+    const now = Date.now();
+    const added = ((now - this.updatedAt) / 1000) * this.rate;
+    this.tokens = Math.min(this.burst, this.tokens + added);
+    this.updatedAt = now;
+  }
+
+  // Take a token and return how long to wait (ms) before using it; 0 when
+  // one was available. The bucket goes into debt for waiting callers, so
+  // they are served in the order they asked.
+  reserve() {
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return 0;
+    return Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+// ================================
+// 2. CONCURRENCY
+// ================================
+
+// Call worker(item, index) for every item with at most `concurrency` calls
+// in flight. No new call starts once shouldStop() returns true; the items
+// left over are never passed to the worker. Workers should not throw.
+async function forEachConcurrent(items, worker, options = {}) {
+  const { concurrency = 5, shouldStop = () => false } = options;
+  if (!(concurrency >= 1)) {
+    throw new RangeError(`Concurrency must be at least 1: ${concurrency}`);
+  }
+
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  const lanes = Math.min(Math.floor(concurrency), items.length);
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
+
+module.exports = { TokenBucket, forEachConcurrent };
@@ -0,0 +1,189 @@
+// Escrow.com API - Credential Providers
+// Escrow authenticates with HTTP Basic auth: the account email plus either
+// the account password or an API key. A provider is any object with an
+// async getCredentials() resolving to { email, secret }. EscrowAuth holds the
+// resolved secret once for a whole EscrowClient and its sub-clients.
+
+const fs = require("fs");
+
+// ================================
+// 1. PROVIDERS
+// ================================
+
+// Fixed email + password or email + API key; rotate() swaps the secret
+class StaticCredentialProvider {
+  constructor(email, secret) {
+    this.email = email;
+    this.secret = secret;
+  }
+
+  async getCredentials() {
+    return { email: this.email, secret: this.secret };
+  }
+
+  rotate(secret, email = this.email) {
+    this.email = email;
+    this.secret = secret;
+  }
+}
+
+// Email + API key, as created with EscrowCustomer.createAPIKey
+class ApiKeyCredentialProvider extends StaticCredentialProvider {
+  constructor(email, apiKey) {
+    super(email, apiKey);
+  }
+}
+
+// Reads <prefix>EMAIL and <prefix>API_KEY (or <prefix>PASSWORD) on every
+// call, so updating the environment rotates the key
+class EnvCredentialProvider {
+  constructor(options = {}) {
+    this.prefix = options.prefix || "ESCROW_";
+    this.env = options.env || process.env;
+  }
+
+  async getCredentials() {
+    const email = this.env[`${this.prefix}EMAIL`];
+    const secret =
+      this.env[`${this.prefix}API_KEY`] || this.env[`${this.prefix}PASSWORD`];
+    if (!email || !secret) {
+      throw new Error(
+        `Set ${this.prefix}EMAIL and ${this.prefix}API_KEY or ${this.prefix}PASSWORD`
+      );
+    }
+    return { email, secret };
+  }
+}
+
+// Reads { "email": ..., "api_key": ... } (or "password") from a JSON file,
+// re-reading it whenever the file changes on disk
+class FileCredentialProvider {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.cached = null;
+    this.mtimeMs = null;
+  }
+
+  async getCredentials() {
+    const { mtimeMs } = await fs.promises.stat(this.filePath);
+    if (this.cached && mtimeMs === this.mtimeMs) return this.cached;
+
+    const content = JSON.parse(
+      await fs.promises.readFile(this.filePath, "utf8")
+    );
+    const secret = content.api_key || content.password;
+    if (!content.email || !secret) {
+      throw new Error(
+        `${this.filePath} must contain "email" and "api_key" or "password"`
+      );
+    }
+
+    this.cached = { email: content.email, secret };
+    this.mtimeMs = mtimeMs;
+    return this.cached;
+  }
+}
+
+// Wraps an async function, e.g. a call to a secrets manager
+class CustomCredentialProvider {
+  constructor(fetchCredentials) {
+    this.fetchCredentials = fetchCredentials;
+  }
+
+  async getCredentials() {
+    const { email, secret, apiKey, password } = await this.fetchCredentials();
+    return { email, secret: secret || apiKey || password };
+  }
+}
+
+// ================================
+// 2. SHARED AUTH HOLDER
+// ================================
+
+// Caches the resolved credentials for `ttl` ms (default 5 minutes) and
+// builds the Authorization header. One instance is shared by an EscrowClient
+// and all of its sub-clients, so rotating here applies everywhere.
+class EscrowAuth {
+  constructor(provider, options = {}) {
+    this.provider = toProvider(provider);
+    this.ttl = options.ttl != null ? options.ttl : 5 * 60 * 1000;
+    this.credentials = null;
+    this.resolvedAt = 0;
+    this.pending = null;
+  }
+
+  // Email of the last resolved credentials (null before the first request)
+  get email() {
+    if (this.credentials) return this.credentials.email;
+    return this.provider.email || null;
+  }
+
+  async resolve() {
+    const fresh = Date.now() - this.resolvedAt < this.ttl;
+    if (this.credentials && fresh) return this.credentials;
+
+    // Concurrent requests share one provider call
+    if (!this.pending) {
+      this.pending = this.provider
+        .getCredentials()
+        .then((credentials) => {
+          this.credentials = credentials;
+          this.resolvedAt = Date.now();
+          return credentials;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async getAuthHeader() {
+    const { email, secret } = await this.resolve();
+    return `Basic ${Buffer.from(`${email}:${secret}`).toString("base64")}`;
+  }
+
+  // Drop the cached credentials; the next request asks the provider again
+  invalidate() {
+    this.credentials = null;
+    this.resolvedAt = 0;
+  }
+
+  // Switch to a new secret (or a whole new provider) without rebuilding
+  // the client
+  rotate(secretOrProvider, email) {
+    if (typeof secretOrProvider === "string") {
+      // Keep the current account unless a new email is given; ask the old
+      // provider for it if nothing has been resolved yet
+      const previous = this.provider;
+      const knownEmail = email || this.email;
+      this.provider = new CustomCredentialProvider(async () => ({
+        email: knownEmail || (await previous.getCredentials()).email,
+        secret: secretOrProvider,
+      }));
+    } else {
+      this.provider = toProvider(secretOrProvider);
+    }
+    this.invalidate();
+  }
+}
+
+// Accept a provider object or a bare async function
+function toProvider(provider) {
+  if (typeof provider === "function") {
+    return new CustomCredentialProvider(provider);
+  }
+  if (!provider || typeof provider.getCredentials !== "function") {
+    throw new Error("A credential provider needs a getCredentials() method");
+  }
+  return provider;
+}
+
+module.exports = {
+  EscrowAuth,
+  StaticCredentialProvider,
+  ApiKeyCredentialProvider,
+  EnvCredentialProvider,
+  FileCredentialProvider,
+  CustomCredentialProvider,
+};
@@ -0,0 +1,387 @@
+// Escrow.com API - Disbursement Methods
+// Models for the ways a seller or broker is paid out: US ACH transfers,
+// international wires and methods already saved on the account. Bank details
+// are checked locally (ABA routing checksum, IBAN checksum, SWIFT/BIC format
+// and the fields each currency needs), so mistakes surface before any
+// request. Models serialize to the snake_case payload the API expects.
+//
+//   const method = new AchDisbursementMethod({ accountName, ... }).assertValid();
+//   await escrow.disbursements.setDisbursementMethod(transactionId, method);
+
+const { EscrowValidationError } = require("./escrowService");
+const { SUPPORTED_CURRENCIES } = require("./money");
+
+// ================================
+// 1. BANK DETAIL CHECKS
+// ================================
+
+const digitsOnly = (value) => String(value).replace(/[\s-]/g, "");
+
+// US ABA routing number: 9 digits with a weighted checksum
+function isValidRoutingNumber(value) {
+  const digits = digitsOnly(value);
+  if (!/^\d{9}$/.test(digits)) return false;
+  const d = [...digits].map(Number);
+  const sum =
+    3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
+// IBAN: country code, check digits and a mod-97 checksum of 1
+function isValidIBAN(value) {
+  const iban = String(value).replace(/\s/g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// SWIFT/BIC: bank, country and location codes, optional branch code
+function isValidSwiftCode(value) {
+  return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(
+    String(value).replace(/\s/g, "").toUpperCase()
+  );
+}
+
+// ================================
+// 2. MODELS
+// ================================
+
+const DISBURSEMENT_TYPES = ["ach", "international_wire", "saved"];
+
+const ACH_ACCOUNT_TYPES = ["checking", "savings"];
+
+// Account fields an international wire needs in each currency; any one of
+// the listed sets will do
+const WIRE_ACCOUNT_FIELDS = {
+  usd: [["account_number"]],
+  eur: [["iban"]],
+  gbp: [["iban"], ["sort_code", "account_number"]],
+  aud: [["bsb", "account_number"]],
+  cad: [["institution_number", "transit_number", "account_number"]],
+};
+
+// Format checks for wire fields, by API field name
+const WIRE_FIELD_FORMATS = {
+  iban: [isValidIBAN, "is not a valid IBAN"],
+  swift_code: [isValidSwiftCode, "is not a valid SWIFT/BIC code"],
+  account_number: [
+    (v) => /^[A-Z0-9]{4,34}$/i.test(digitsOnly(v)),
+    "must be 4 to 34 letters or digits",
+  ],
+  sort_code: [(v) => /^\d{6}$/.test(digitsOnly(v)), "must be 6 digits"],
+  bsb: [(v) => /^\d{6}$/.test(digitsOnly(v)), "must be 6 digits"],
+  transit_number: [(v) => /^\d{5}$/.test(digitsOnly(v)), "must be 5 digits"],
+  institution_number: [
+    (v) => /^\d{3}$/.test(digitsOnly(v)),
+    "must be 3 digits",
+  ],
+};
+
+// Names the API uses for an international wire
+const WIRE_TYPES = ["international_wire", "wire", "wire_transfer"];
+
+// camelCase model property for an API field name
+const camel = (field) => field.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+// Model for a raw API object, a model (returned as is), or null if the type
+// is not one modelled here
+function toDisbursementMethod(raw) {
+  if (raw instanceof DisbursementMethod) return raw;
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.id != null) return SavedDisbursementMethod.fromJSON(raw);
+  if (raw.type === "ach") return AchDisbursementMethod.fromJSON(raw);
+  if (WIRE_TYPES.includes(raw.type)) {
+    return WireDisbursementMethod.fromJSON(raw);
+  }
+  return null;
+}
+
+class DisbursementMethod {
+  // Like toDisbursementMethod, but throws an EscrowValidationError for an
+  // unknown type
+  static fromJSON(raw) {
+    const method = toDisbursementMethod(raw);
+    if (method) return method;
+
+    const type = raw && raw.type;
+    throw new EscrowValidationError(
+      `Unknown disbursement type "${type}"`,
+      null,
+      { errors: { type: [`must be one of ${DISBURSEMENT_TYPES.join(", ")}`] } }
+    );
+  }
+
+  // Field errors as { api_field: [messages] }; empty when valid
+  validate() {
+    return {};
+  }
+
+  // This model, or an EscrowValidationError listing every invalid field
+  assertValid() {
+    const errors = this.validate();
+    if (Object.keys(errors).length > 0) {
+      throw new EscrowValidationError(
+        `Invalid ${this.type} disbursement method`,
+        null,
+        { errors }
+      );
+    }
+    return this;
+  }
+}
+
+// Collects { field: [messages] } for the validate() methods
+function errorCollector() {
+  const errors = {};
+  const add = (field, message) => {
+    (errors[field] = errors[field] || []).push(message);
+  };
+  return { errors, add };
+}
+
+// US bank account paid by ACH; USD only
+class AchDisbursementMethod extends DisbursementMethod {
+  // Options: accountName, accountNumber, routingNumber, accountType
+  // ("checking" or "savings", the default) and bankName
+  constructor(options = {}) {
+    super();
+    this.type = "ach";
+    this.currency = "usd";
+    this.accountName = options.accountName;
+    this.accountNumber = options.accountNumber;
+    this.routingNumber = options.routingNumber;
+    this.accountType = options.accountType || "checking";
+    this.bankName = options.bankName;
+  }
+
+  static fromJSON(raw) {
+    return new AchDisbursementMethod({
+      accountName: raw.account_name,
+      accountNumber: raw.account_number,
+      routingNumber: raw.routing_number,
+      accountType: raw.account_type,
+      bankName: raw.bank_name,
+    });
+  }
+
+  validate() {
+    const { errors, add } = errorCollector();
+    if (!this.accountName) add("account_name", "is required");
+    if (!this.routingNumber) {
+      add("routing_number", "is required");
+    } else if (!isValidRoutingNumber(this.routingNumber)) {
+      add("routing_number", "is not a valid ABA routing number");
+    }
+    if (!this.accountNumber) {
+      add("account_number", "is required");
+    } else if (!/^\d{4,17}$/.test(digitsOnly(this.accountNumber))) {
+      add("account_number", "must be 4 to 17 digits");
+    }
+    if (!ACH_ACCOUNT_TYPES.includes(this.accountType)) {
+      add("account_type", `must be ${ACH_ACCOUNT_TYPES.join(" or ")}`);
+    }
+    return errors;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      account_name: this.accountName,
+      account_number: digitsOnly(this.accountNumber),
+      routing_number: digitsOnly(this.routingNumber),
+      account_type: this.accountType,
+      bank_name: this.bankName,
+    };
+  }
+}
+
+// Bank account paid by international wire, in any supported currency
+class WireDisbursementMethod extends DisbursementMethod {
+  // Options: currency, accountName, bankName, bankAddress, swiftCode and the
+  // account fields the currency needs: accountNumber (usd), iban (eur),
+  // iban or sortCode + accountNumber (gbp), bsb + accountNumber (aud),
+  // institutionNumber + transitNumber + accountNumber (cad)
+  constructor(options = {}) {
+    super();
+    this.type = "international_wire";
+    this.currency = String(options.currency || "").toLowerCase();
+    this.accountName = options.accountName;
+    this.bankName = options.bankName;
+    this.bankAddress = options.bankAddress;
+    this.swiftCode = options.swiftCode;
+    this.iban = options.iban;
+    this.accountNumber = options.accountNumber;
+    this.sortCode = options.sortCode;
+    this.bsb = options.bsb;
+    this.transitNumber = options.transitNumber;
+    this.institutionNumber = options.institutionNumber;
+  }
+
+  static fromJSON(raw) {
+    const options = {};
+    for (const field of [
+      "currency",
+      "account_name",
+      "bank_name",
+      "bank_address",
+      ...Object.keys(WIRE_FIELD_FORMATS),
+    ]) {
+      options[camel(field)] = raw[field];
+    }
+    return new WireDisbursementMethod(options);
+  }
+
+  validate() {
+    const { errors, add } = errorCollector();
+    if (!SUPPORTED_CURRENCIES.includes(this.currency)) {
+      add("currency", `must be one of ${SUPPORTED_CURRENCIES.join(", ")}`);
+    }
+    if (!this.accountName) add("account_name", "is required");
+    if (!this.bankName) add("bank_name", "is required");
+    if (!this.swiftCode) add("swift_code", "is required");
+
+    for (const [field, [isValid, message]] of Object.entries(
+      WIRE_FIELD_FORMATS
+    )) {
+      const value = this[camel(field)];
+      if (value && !isValid(value)) add(field, message);
+    }
+
+    const options = WIRE_ACCOUNT_FIELDS[this.currency];
+    if (
+      options &&
+      !options.some((fields) => fields.every((field) => this[camel(field)]))
+    ) {
+      const needed = options.map((fields) => fields.join(" + ")).join(" or ");
+      add("account", `${this.currency} wires need ${needed}`);
+    }
+    return errors;
+  }
+
+  toJSON() {
+    const json = {
+      type: this.type,
+      currency: this.currency,
+      account_name: this.accountName,
+      bank_name: this.bankName,
+      bank_address: this.bankAddress,
+    };
+    for (const field of Object.keys(WIRE_FIELD_FORMATS)) {
+      const value = this[camel(field)];
+      if (!value) continue;
+      json[field] =
+        field === "iban" || field === "swift_code"
+          ? String(value).replace(/\s/g, "").toUpperCase()
+          : digitsOnly(value);
+    }
+    return json;
+  }
+}
+
+// A method already saved on the account, referenced by id. `method` is the
+// underlying type as the API reports it ("ach", "international_wire", or
+// another such as "paypal"); the bank details the API returns for it are
+// masked, so only the last digits are kept.
+class SavedDisbursementMethod extends DisbursementMethod {
+  constructor(options = {}) {
+    super();
+    this.type = "saved";
+    this.id = options.id;
+    this.method = options.method || null;
+    this.currency = options.currency ? options.currency.toLowerCase() : null;
+    this.accountName = options.accountName || null;
+    this.bankName = options.bankName || null;
+    this.lastFour = options.lastFour || null;
+  }
+
+  static fromJSON(raw) {
+    // Wire aliases share one name; any other type is kept as the API sent it
+    const type = WIRE_TYPES.includes(raw.type)
+      ? "international_wire"
+      : raw.type || null;
+    const number = String(raw.account_number || raw.iban || "");
+    return new SavedDisbursementMethod({
+      id: raw.id,
+      method: type,
+      currency: raw.currency || (type === "ach" ? "usd" : null),
+      accountName: raw.account_name,
+      bankName: raw.bank_name,
+      lastFour: raw.last_four || number.slice(-4) || null,
+    });
+  }
+
+  validate() {
+    const { errors, add } = errorCollector();
+    if (this.id == null || this.id === "") add("id", "is required");
+    return errors;
+  }
+
+  toJSON() {
+    return { type: this.type, id: this.id };
+  }
+}
+
+// ================================
+// 3. HELPERS
+// ================================
+
+// Saved methods from a getDisbursementMethods or getTransactionDisbursements
+// response, as SavedDisbursementMethod models
+function parseDisbursementMethods(response) {
+  const list = Array.isArray(response)
+    ? response
+    : (response &&
+        (response.saved_disbursement_methods ||
+          response.disbursement_methods)) ||
+      [];
+  return list.map((raw) => SavedDisbursementMethod.fromJSON(raw));
+}
+
+// The saved method to pay out `transaction` with: one in the transaction's
+// currency, by options.prefer order of method types (default ACH first, then
+// international wire), or options.id if given. Methods of any other type
+// (PayPal, check, ...) are only picked when named in prefer. Null when none
+// fits.
+function chooseDisbursementMethod(methods, transaction, options = {}) {
+  const { prefer = ["ach", "international_wire"], id } = options;
+  const currency = String(
+    (transaction && transaction.currency) || "usd"
+  ).toLowerCase();
+
+  if (id != null) {
+    return methods.find((method) => String(method.id) === String(id)) || null;
+  }
+  const candidates = methods.filter(
+    (method) => !method.currency || method.currency === currency
+  );
+  for (const type of prefer) {
+    const match = candidates.find(
+      (method) =>
+        method.method === type && (type !== "ach" || currency === "usd")
+    );
+    if (match) return match;
+  }
+  return null;
+}
+
+module.exports = {
+  DisbursementMethod,
+  AchDisbursementMethod,
+  WireDisbursementMethod,
+  SavedDisbursementMethod,
+  toDisbursementMethod,
+  parseDisbursementMethods,
+  chooseDisbursementMethod,
+  isValidRoutingNumber,
+  isValidIBAN,
+  isValidSwiftCode,
+  DISBURSEMENT_TYPES,
+  WIRE_ACCOUNT_FIELDS,
+};
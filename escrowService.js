@@ -7,67 +7,629 @@
 // Load environment variables
 require("dotenv").config();
 
-class EscrowAPI {
-  constructor(email, password, isProduction = false) {
-    this.email = email;
-    this.password = password;
-    this.baseURL = isProduction
-      ? "https://api.escrow.com"
-      : "https://api.escrow-sandbox.com";
-    this.version = "2017-09-01";
-    this.authHeader = `Basic ${Buffer.from(`${email}:${password}`).toString(
-      "base64"
-    )}`;
-  }
-
-  // Base request method
-  async makeRequest(endpoint, method = "GET", data = null) {
-    const url = `${this.baseURL}/${this.version}${endpoint}`;
-
-    const options = {
+const crypto = require("crypto");
+const fs = require("fs");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { MemoryIdempotencyStore } = require("./idempotencyStore");
+const { EscrowAuth, StaticCredentialProvider } = require("./credentials");
+const { TransactionStateMachine } = require("./transactionStateMachine");
+const { silentLogger, redact, redactBody } = require("./logger");
+const { Money } = require("./money");
+const { responseSchema, validateResponse } = require("./schemas");
+const { toModels } = require("./models");
+const { TokenBucket, forEachConcurrent } = require("./concurrency");
+const { buildAuditTrail } = require("./auditTrail");
+
+// Default retry policy; override per client with options.retry
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // total attempts, including the first one
+  baseDelay: 500, // ms, doubled on every attempt
+  maxDelay: 30000, // ms, upper bound for a single wait
+  jitter: 0.2, // up to +20% random spread on each delay
+  retryOn: [429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+};
+
+// Recorded results of idempotent calls are replayed for this long (ms);
+// override with options.idempotency.ttl
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+// Per-request timeout in ms; override with options.timeout (0 disables it)
+const DEFAULT_TIMEOUT = 30000;
+
+// Requests in flight at once in transactions.bulk(); override per call
+const DEFAULT_BULK_CONCURRENCY = 5;
+
+const DEFAULT_USER_AGENT = `escrow-api-js/${
+  require("./package.json").version
+} node/${process.versions.node}`;
+
+// Wait `ms`; rejects with EscrowAbortError as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(
+        new EscrowAbortError("Operation aborted", { cause: signal.reason })
+      );
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(
+        new EscrowAbortError("Operation aborted", { cause: signal.reason })
+      );
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// HTTP layer shared by an EscrowClient and all of its sub-clients: host, API
+// version, timeout, fetch implementation, default headers, user agent,
+// credentials, retry policy, rate limit, logger, interceptors and cassette.
+// Changing a setting on the transport applies to every sub-client at once.
+// Any request accepting requestOptions can override baseURL, version,
+// timeout, headers or fetch for that call only.
+class EscrowTransport {
+  constructor(options = {}) {
+    this.auth =
+      options.auth ||
+      new EscrowAuth(
+        options.credentials ||
+          new StaticCredentialProvider(options.email, options.password),
+        { ttl: options.credentialsTTL }
+      );
+    this.baseURL =
+      options.baseURL ||
+      (options.isProduction
+        ? "https://api.escrow.com"
+        : "https://api.escrow-sandbox.com");
+    this.version = options.version || "2017-09-01";
+    this.timeout = options.timeout != null ? options.timeout : DEFAULT_TIMEOUT;
+    this.fetch = options.fetch || null;
+    this.headers = { ...(options.headers || {}) };
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(options.retry || {}) };
+    // Token bucket (see concurrency.js) every request, retries included,
+    // waits on; options.rateLimit is { rate, burst } or a limiter
+    this.rateLimiter = TokenBucket.from(options.rateLimit);
+    this.logger = options.logger || silentLogger;
+    this.interceptors = [...(options.interceptors || [])];
+    // A Cassette (see cassette.js) recording or replaying every request
+    this.cassette = options.cassette || null;
+  }
+
+  // Add an interceptor: an object with any of the async hooks
+  // beforeRequest, afterResponse and onError (see sendRequest)
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    return this;
+  }
+
+  // Update settings in place, e.g. configure({ timeout: 5000 }); `headers`
+  // and `retry` are merged into the current values, a null `logger` silences
+  // logging again, a null `cassette` goes back to the network and a null
+  // `rateLimit` lifts the rate limit
+  configure(settings = {}) {
+    const { headers, retry, logger, rateLimit, ...rest } = settings;
+    const keys = ["baseURL", "version", "timeout", "fetch", "userAgent"];
+    for (const key of [...keys, "cassette"]) {
+      if (key in rest) this[key] = rest[key];
+    }
+    if ("logger" in settings) this.logger = logger || silentLogger;
+    if ("rateLimit" in settings) {
+      this.rateLimiter = TokenBucket.from(rateLimit);
+    }
+    if (headers) this.headers = { ...this.headers, ...headers };
+    if (retry) this.retryPolicy = { ...this.retryPolicy, ...retry };
+    return this;
+  }
+
+  url(endpoint, requestOptions = {}) {
+    const baseURL = requestOptions.baseURL || this.baseURL;
+    const version = requestOptions.version || this.version;
+    return `${baseURL}/${version}${endpoint}`;
+  }
+
+  // Retries according to retryPolicy; POST and PATCH are only retried
+  // when the caller set requestOptions.idempotencyKey, since replaying them
+  // could otherwise create duplicates. A key generated by withIdempotencyKey
+  // does not count: the caller could not repeat the call with it. A 401 is
+  // retried once if the credential provider hands out a different secret
+  // (the key was rotated).
+  async sendWithRetry(endpoint, method, data, requestOptions = {}) {
+    const policy = this.retryPolicy;
+    const retryable =
+      !["POST", "PATCH"].includes(method) ||
+      Boolean(
+        requestOptions.idempotencyKey && !requestOptions.generatedIdempotencyKey
+      );
+    let reauthenticated = false;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.throttle(method, endpoint, requestOptions.signal);
+      const authHeader = await this.auth.getAuthHeader();
+      try {
+        return await this.sendRequest(endpoint, method, data, {
+          ...requestOptions,
+          authHeader,
+          attempt,
+        });
+      } catch (error) {
+        if (
+          error.statusCode === 401 &&
+          !reauthenticated &&
+          (await this.credentialsChanged(authHeader))
+        ) {
+          reauthenticated = true;
+          attempt--;
+          continue;
+        }
+
+        if (
+          !retryable ||
+          attempt >= policy.maxAttempts ||
+          !this.shouldRetry(error)
+        ) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        this.logger.warn("Retrying Escrow API request", {
+          method,
+          endpoint,
+          delayMs: delay,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+        });
+        await sleep(delay, requestOptions.signal);
+      }
+    }
+  }
+
+  // Wait until the rate limiter, if any, lets the next request through
+  async throttle(method, endpoint, signal) {
+    if (!this.rateLimiter) return;
+    const delay = this.rateLimiter.reserve();
+    if (delay > 0) {
+      this.logger.debug("Rate limiting Escrow API request", {
+        method,
+        endpoint,
+        delayMs: delay,
+      });
+      await sleep(delay, signal);
+    }
+  }
+
+  // Re-read the credentials and report whether they differ from the ones a
+  // failed request was sent with
+  async credentialsChanged(authHeader) {
+    this.auth.invalidate();
+    return (await this.auth.getAuthHeader()) !== authHeader;
+  }
+
+  shouldRetry(error) {
+    if (error instanceof EscrowNetworkError) {
+      return this.retryPolicy.retryNetworkErrors;
+    }
+    return this.retryPolicy.retryOn.includes(error.statusCode);
+  }
+
+  // Exponential backoff with jitter; a Retry-After header takes precedence
+  getRetryDelay(attempt, error) {
+    const { baseDelay, maxDelay, jitter } = this.retryPolicy;
+    if (error.retryAfter != null) {
+      return Math.min(error.retryAfter, maxDelay);
+    }
+    const delay = baseDelay * 2 ** (attempt - 1);
+    const spread = delay * jitter * Math.random();
+    return Math.round(Math.min(delay + spread, maxDelay));
+  }
+
+  // Perform a single HTTP request without retrying. Interceptors see a
+  // context { method, endpoint, url, headers, body, attempt, startedAt } and
+  // may change url, headers or body in beforeRequest; afterResponse adds
+  // status, response, result and durationMs (and may replace result), and
+  // onError adds error, status and durationMs (and may replace error).
+  async sendRequest(endpoint, method, data, requestOptions = {}) {
+    const headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      "User-Agent": this.userAgent,
+      ...this.headers,
+      ...(requestOptions.headers || {}),
+      Authorization:
+        requestOptions.authHeader || (await this.auth.getAuthHeader()),
+    };
+    if (requestOptions.idempotencyKey) {
+      headers["Idempotency-Key"] = requestOptions.idempotencyKey;
+    }
+
+    const context = {
       method,
-      headers: {
-        Authorization: this.authHeader,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
+      endpoint,
+      url: this.url(endpoint, requestOptions),
+      headers,
+      body: data,
+      attempt: requestOptions.attempt || 1,
+      startedAt: Date.now(),
     };
 
-    if (data && (method === "POST" || method === "PATCH")) {
-      options.body = JSON.stringify(data);
+    await this.runInterceptors("beforeRequest", context);
+    this.logger.debug("Escrow API request", {
+      method,
+      url: context.url,
+      attempt: context.attempt,
+      headers: redact(context.headers),
+      body: redactBody(endpoint, context.body),
+    });
+
+    try {
+      context.result = await this.dispatch(context, requestOptions);
+    } catch (error) {
+      context.error = error;
+      context.status = error.statusCode != null ? error.statusCode : null;
+      context.durationMs = Date.now() - context.startedAt;
+      this.logger.error("Escrow API request failed", {
+        method,
+        url: context.url,
+        status: context.status,
+        durationMs: context.durationMs,
+        error: error.message,
+      });
+      await this.runInterceptors("onError", context);
+      throw context.error;
     }
 
+    context.durationMs = Date.now() - context.startedAt;
+    this.logger.info("Escrow API response", {
+      method,
+      url: context.url,
+      status: context.status,
+      durationMs: context.durationMs,
+    });
+    if (!requestOptions.raw) {
+      this.logger.debug("Escrow API response body", {
+        method,
+        url: context.url,
+        body: redactBody(endpoint, context.result),
+      });
+    }
+    await this.runInterceptors("afterResponse", context);
+    return context.result;
+  }
+
+  // Send the request described by an interceptor context and parse the reply.
+  // The timeout covers the whole exchange (only the headers when
+  // requestOptions.raw is set); requestOptions.signal cancels it at any point.
+  async dispatch(context, requestOptions) {
+    const { method, url } = context;
+    const { signal } = requestOptions;
+    throwIfAborted(signal);
+
+    const options = { method, headers: context.headers };
+    if (context.body && (method === "POST" || method === "PATCH")) {
+      options.body = JSON.stringify(context.body);
+    }
+
+    const timeout =
+      requestOptions.timeout != null ? requestOptions.timeout : this.timeout;
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    options.signal = controller.signal;
+
+    // Looked up per call so a fetch replaced after construction is honoured
+    const fetchImpl = requestOptions.fetch || this.fetch || fetch;
+
+    let response = null;
+    let streaming = false;
     try {
-      const response = await fetch(url, options);
-      console.log(`API Call: ${method} ${url} - Status: ${response.status}`);
+      response = await fetchImpl(url, options);
+      context.response = response;
+      context.status = response.status;
 
       if (!response.ok) {
-        let errorMessage = `API Error: ${response.status} - ${response.statusText}`;
-
-        try {
-          const errorData = await response.json();
-          if (errorData && errorData.error) {
-            errorMessage = `API Error: ${response.status} - ${errorData.error}`;
-          }
-        } catch (jsonError) {
-          // If response is not JSON, use the status text
-          console.log(`Response is not JSON: ${jsonError.message}`);
-        }
+        throw await EscrowError.fromResponse(response, { method, url });
+      }
 
-        throw new Error(errorMessage);
+      // requestOptions.raw hands back the unread Response, e.g. for streaming
+      if (requestOptions.raw) {
+        streaming = true;
+        return response;
       }
 
       const contentType = response.headers.get("content-type");
       if (contentType && contentType.includes("application/json")) {
         return await response.json();
       } else {
-        const text = await response.text();
-        console.log(`Non-JSON response: ${text}`);
-        return { message: text };
+        return { message: await response.text() };
       }
     } catch (error) {
-      console.error("API Request failed:", error.message);
+      if (timedOut) {
+        throw new EscrowTimeoutError(
+          `Request timed out after ${timeout}ms: ${method} ${url}`,
+          { method, url, cause: error }
+        );
+      }
+      if (signal && signal.aborted) {
+        throw new EscrowAbortError(`Request aborted: ${method} ${url}`, {
+          method,
+          url,
+          cause: signal.reason,
+        });
+      }
+      if (!response) {
+        throw new EscrowNetworkError(`Network Error: ${error.message}`, {
+          method,
+          url,
+          cause: error,
+        });
+      }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      // A streamed body stays cancellable until the caller has read it
+      if (signal && !streaming) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Run one hook of every interceptor, in the order they were added
+  async runInterceptors(hook, context) {
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor[hook] === "function") {
+        await interceptor[hook](context);
+      }
+    }
+  }
+}
+
+class EscrowAPI {
+  // options are passed to a new EscrowTransport (baseURL, version, timeout,
+  // fetch, headers, userAgent, retry, rateLimit, credentials, logger,
+  // interceptors, cassette) unless options.transport supplies one shared with other
+  // clients. options.idempotency takes a key `store` (see
+  // idempotencyStore.js) and a replay window `ttl` in ms.
+  // options.validateTransitions checks actions against the lifecycle state
+  // machine before sending them. options.strict checks responses against
+  // schemas.js and reports drift to options.onDrift (default: a logger
+  // warning); strict: "throw" also rejects responses that do not match.
+  // options.models returns model instances (see models.js) for them.
+  constructor(email, password, isProduction = false, options = {}) {
+    this.transport =
+      options.transport ||
+      new EscrowTransport({ ...options, email, password, isProduction });
+    const idempotency = options.idempotency || {};
+    this.idempotencyTTL = idempotency.ttl || DEFAULT_IDEMPOTENCY_TTL;
+    this.idempotencyStore =
+      idempotency.store ||
+      new MemoryIdempotencyStore({ maxAge: this.idempotencyTTL });
+    this.validateTransitions = Boolean(options.validateTransitions);
+    this.strict = options.strict || false;
+    this.onDrift = options.onDrift || null;
+    this.models = Boolean(options.models);
+  }
+
+  get auth() {
+    return this.transport.auth;
+  }
+
+  get baseURL() {
+    return this.transport.baseURL;
+  }
+
+  get version() {
+    return this.transport.version;
+  }
+
+  // Email of the authenticated account, from the shared credentials
+  get email() {
+    return this.auth.email;
+  }
+
+  // Base request method. Every public sub-client method passes its last
+  // argument through as requestOptions: `signal` (an AbortSignal) cancels the
+  // call and any retries, `timeout` and the other transport settings apply to
+  // this call only. When requestOptions.idempotencyKey is set, a result
+  // recorded for that key within the replay window is returned without
+  // sending the request again. With a cassette on the transport, the request
+  // is recorded to it or answered from it.
+  async makeRequest(
+    endpoint,
+    method = "GET",
+    data = null,
+    requestOptions = {}
+  ) {
+    const result = await this.sendOnce(endpoint, method, data, requestOptions);
+    return this.processResponse(endpoint, method, result, requestOptions);
+  }
+
+  // Send the request, or replay the result recorded for its idempotency key.
+  // Only keys the caller chose are recorded; a generated one is never sent
+  // again, so its record would only take up room.
+  async sendOnce(endpoint, method, data, requestOptions) {
+    throwIfAborted(requestOptions.signal);
+    const { idempotencyKey, generatedIdempotencyKey } = requestOptions;
+    if (!idempotencyKey || generatedIdempotencyKey) {
+      return await this.sendOrReplay(endpoint, method, data, requestOptions);
+    }
+
+    const record = await this.idempotencyStore.get(idempotencyKey);
+    if (record && Date.now() - record.createdAt < this.idempotencyTTL) {
+      if (record.method !== method || record.endpoint !== endpoint) {
+        throw new EscrowError(
+          `Idempotency key ${idempotencyKey} was already used for ${record.method} ${record.endpoint}`,
+          null,
+          null,
+          { method, url: this.transport.url(endpoint, requestOptions) }
+        );
+      }
+      this.transport.logger.debug("Idempotent replay", { method, endpoint });
+      return record.result;
+    }
+
+    const result = await this.sendOrReplay(
+      endpoint,
+      method,
+      data,
+      requestOptions
+    );
+    await this.idempotencyStore.set(idempotencyKey, {
+      method,
+      endpoint,
+      result,
+      createdAt: Date.now(),
+    });
+    return result;
+  }
+
+  // Send through the transport, or through its cassette when one is set
+  async sendOrReplay(endpoint, method, data, requestOptions) {
+    const send = () =>
+      this.transport.sendWithRetry(endpoint, method, data, requestOptions);
+    const { cassette } = this.transport;
+    if (!cassette) return await send();
+    return await cassette.run(
+      { method, endpoint, body: data, raw: Boolean(requestOptions.raw) },
+      send
+    );
+  }
+
+  // In strict mode, check a response against the schema of its endpoint and
+  // report any drift; with models enabled, wrap it in model classes.
+  // Responses without a schema (and raw ones) pass through unchanged.
+  processResponse(endpoint, method, result, requestOptions) {
+    if (requestOptions.raw || (!this.strict && !this.models)) return result;
+    const response = responseSchema(method, endpoint);
+    if (!response) return result;
+
+    if (this.strict) {
+      const issues = validateResponse(response, result);
+      if (issues.length > 0) {
+        const drift = { method, endpoint, schema: response.schema, issues };
+        if (this.onDrift) this.onDrift(drift);
+        else this.transport.logger.warn("Response schema drift", drift);
+
+        // New fields are reported, but never rejected
+        const mismatches = issues.filter(({ kind }) => kind !== "unexpected");
+        if (this.strict === "throw" && mismatches.length > 0) {
+          throw new EscrowSchemaError(
+            `${method} ${endpoint} returned an invalid ${
+              response.schema
+            }: ${mismatches
+              .map(({ path, message }) => `${path}: ${message}`)
+              .join("; ")}`,
+            { ...drift, issues: mismatches, url: this.transport.url(endpoint) }
+          );
+        }
+      }
+    }
+    return this.models ? toModels(response, result) : result;
+  }
+
+  // Reject an action the lifecycle does not allow before calling the API.
+  // Runs when validateTransitions is enabled (fetching the transaction) or
+  // when the caller passes a snapshot as requestOptions.transaction.
+  async assertTransition(
+    transactionId,
+    action,
+    requestOptions = {},
+    itemId = null
+  ) {
+    if (!this.validateTransitions && !requestOptions.transaction) return;
+
+    const transaction =
+      requestOptions.transaction ||
+      (await this.makeRequest(`/transaction/${transactionId}`, "GET", null, {
+        signal: requestOptions.signal,
+      }));
+    const { email } = await this.auth.resolve();
+    const role = TransactionStateMachine.roleOf(transaction, email);
+    const allowed = TransactionStateMachine.allowedActions(
+      transaction,
+      role,
+      itemId,
+      email
+    );
+
+    if (!allowed.includes(action.action)) {
+      const state = TransactionStateMachine.transactionState(transaction);
+      throw new EscrowTransitionError(
+        `Action "${action.action}" is not allowed for ${
+          role || "non-party"
+        } in ${state} transaction ${transactionId}; allowed: ${
+          allowed.join(", ") || "none"
+        }`,
+        { action: action.action, role, allowed, transactionId, itemId }
+      );
+    }
+  }
+
+  // Fill in a random idempotency key unless the caller supplied one; a
+  // generated key is flagged so the call is not retried on its strength
+  withIdempotencyKey(requestOptions = {}) {
+    if (requestOptions.idempotencyKey) return requestOptions;
+    return {
+      ...requestOptions,
+      idempotencyKey: crypto.randomUUID(),
+      generatedIdempotencyKey: true,
+    };
+  }
+
+  // The same options minus the idempotency key, for the reads a helper
+  // makes around its one mutating call: a key is spent on its first use
+  withoutIdempotencyKey(requestOptions = {}) {
+    const { idempotencyKey, generatedIdempotencyKey, ...rest } = requestOptions;
+    return rest;
+  }
+
+  // Generic pagination driver behind the iterate* methods. fetchPage(cursor)
+  // resolves to { items, next }, where next is null on the last page.
+  // Options: maxItems caps the number of items yielded, prefetch requests the
+  // next page while the current one is consumed, signal aborts iteration.
+  async *paginate(fetchPage, firstCursor, options = {}) {
+    const { maxItems = Infinity, prefetch = false, signal } = options;
+    // Page errors surface when awaited; the no-op handler avoids an
+    // unhandled rejection if iteration stops (or aborts) before that
+    const request = (cursor) => {
+      const page = fetchPage(cursor);
+      page.catch(() => {});
+      return page;
+    };
+    let yielded = 0;
+    let pending = request(firstCursor);
+
+    while (pending) {
+      throwIfAborted(signal);
+      const { items, next } = await pending;
+      pending = null;
+
+      const more = next != null && items.length > 0;
+      if (more && prefetch && yielded + items.length < maxItems) {
+        pending = request(next);
+      }
+
+      for (const item of items) {
+        if (yielded >= maxItems) return;
+        throwIfAborted(signal);
+        yield item;
+        yielded++;
+      }
+
+      if (!more || yielded >= maxItems) return;
+      if (!pending) pending = request(next);
     }
   }
 }
@@ -78,38 +640,68 @@ class EscrowAPI {
 
 class EscrowCustomer extends EscrowAPI {
   // Get current customer details
-  async getMyProfile() {
-    return await this.makeRequest("/customer/me");
+  async getMyProfile(requestOptions = {}) {
+    return await this.makeRequest("/customer/me", "GET", null, requestOptions);
   }
 
   // Get customer by ID
-  async getCustomer(customerId) {
-    return await this.makeRequest(`/customer/${customerId}`);
+  async getCustomer(customerId, requestOptions = {}) {
+    return await this.makeRequest(
+      `/customer/${customerId}`,
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Get API keys
-  async getAPIKeys() {
-    return await this.makeRequest("/customer/me/api_key");
+  async getAPIKeys(requestOptions = {}) {
+    return await this.makeRequest(
+      "/customer/me/api_key",
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Create new API key
-  async createAPIKey(name) {
-    return await this.makeRequest("/customer/me/api_key", "POST", { name });
+  async createAPIKey(name, requestOptions = {}) {
+    return await this.makeRequest(
+      "/customer/me/api_key",
+      "POST",
+      { name },
+      requestOptions
+    );
   }
 
   // Get disbursement methods
-  async getDisbursementMethods() {
-    return await this.makeRequest("/customer/me/disbursement_methods");
+  async getDisbursementMethods(requestOptions = {}) {
+    return await this.makeRequest(
+      "/customer/me/disbursement_methods",
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Get webhooks
-  async getWebhooks() {
-    return await this.makeRequest("/customer/me/webhook");
+  async getWebhooks(requestOptions = {}) {
+    return await this.makeRequest(
+      "/customer/me/webhook",
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Create webhook
-  async createWebhook(url) {
-    return await this.makeRequest("/customer/me/webhook", "POST", { url });
+  async createWebhook(url, requestOptions = {}) {
+    return await this.makeRequest(
+      "/customer/me/webhook",
+      "POST",
+      { url },
+      requestOptions
+    );
   }
 }
 
@@ -119,7 +711,7 @@ class EscrowCustomer extends EscrowAPI {
 
 class EscrowTransaction extends EscrowAPI {
   // List transactions with filtering
-  async listTransactions(options = {}) {
+  async listTransactions(options = {}, requestOptions = {}) {
     const {
       page = 1,
       per_page = 10,
@@ -134,80 +726,338 @@ class EscrowTransaction extends EscrowAPI {
       sort_direction,
     });
 
-    return await this.makeRequest(`/transaction?${params}`);
+    return await this.makeRequest(
+      `/transaction?${params}`,
+      "GET",
+      null,
+      requestOptions
+    );
+  }
+
+  // Iterate over every transaction across pages:
+  //   for await (const tx of transactions.iterate({ per_page: 50 })) { ... }
+  // Accepts the listTransactions options plus maxItems, prefetch and signal.
+  iterate(options = {}) {
+    const { maxItems, prefetch, signal, ...listOptions } = options;
+    const perPage = listOptions.per_page || 10;
+
+    return this.paginate(
+      async (page) => {
+        const response = await this.listTransactions(
+          { ...listOptions, page, per_page: perPage },
+          { signal }
+        );
+        const items = pageItems(response, "transactions");
+        const total = response && response.total;
+        const lastPage =
+          items.length < perPage || (total != null && page * perPage >= total);
+        return { items, next: lastPage ? null : page + 1 };
+      },
+      listOptions.page || 1,
+      { maxItems, prefetch, signal }
+    );
   }
 
   // Get specific transaction
-  async getTransaction(transactionId) {
-    return await this.makeRequest(`/transaction/${transactionId}`);
+  async getTransaction(transactionId, requestOptions = {}) {
+    return await this.makeRequest(
+      `/transaction/${transactionId}`,
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Get transaction by reference
-  async getTransactionByReference(reference) {
-    return await this.makeRequest(`/transaction/reference/${reference}`);
+  async getTransactionByReference(reference, requestOptions = {}) {
+    return await this.makeRequest(
+      `/transaction/reference/${reference}`,
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
-  // Create a new transaction
-  async createTransaction(transactionData) {
-    return await this.makeRequest("/transaction", "POST", transactionData);
+  // Create a new transaction; pass requestOptions.idempotencyKey to make
+  // retries and replays safe (a random key is used otherwise)
+  async createTransaction(transactionData, requestOptions = {}) {
+    return await this.makeRequest(
+      "/transaction",
+      "POST",
+      transactionData,
+      this.withIdempotencyKey(requestOptions)
+    );
   }
 
   // Perform action on transaction
-  async performAction(transactionId, action) {
+  async performAction(transactionId, action, requestOptions = {}) {
+    await this.assertTransition(transactionId, action, requestOptions);
     return await this.makeRequest(
       `/transaction/${transactionId}`,
       "PATCH",
-      action
+      action,
+      this.withIdempotencyKey(requestOptions)
     );
   }
 
   // Get transaction timeline
-  async getTimeline(transactionId) {
+  async getTimeline(transactionId, requestOptions = {}) {
     return await this.makeRequest(
-      `/transaction/${transactionId}/timeline-entries`
+      `/transaction/${transactionId}/timeline-entries`,
+      "GET",
+      null,
+      requestOptions
     );
   }
+
+  // Perform one action on many transactions, e.g. bulk(ids, "cancel") or
+  // bulk(ids, { action: "agree" }). Options: concurrency (requests in
+  // flight, default 5), continueOnError (default true; false starts no new
+  // item after the first failure), dryRun (only fetch each transaction and
+  // check that the lifecycle allows the action), signal, and onResult called
+  // as each item settles. Resolves to { results, succeeded, allowed, failed,
+  // skipped }: results hold { id, status, result, error } in the order of
+  // `ids`, status being "succeeded", "allowed" (dry run), "failed" or
+  // "skipped" (never started). The transport's rate limit applies throughout.
+  async bulk(transactionIds, action, options = {}) {
+    const {
+      concurrency = DEFAULT_BULK_CONCURRENCY,
+      continueOnError = true,
+      dryRun = false,
+      signal,
+      onResult,
+    } = options;
+    const body = typeof action === "string" ? { action } : action;
+    const results = transactionIds.map((id) => ({
+      id,
+      status: "skipped",
+      result: null,
+      error: null,
+    }));
+    let stopped = false;
+
+    await forEachConcurrent(
+      transactionIds,
+      async (id, index) => {
+        const entry = results[index];
+        try {
+          if (dryRun) {
+            const transaction = await this.getTransaction(id, { signal });
+            await this.assertTransition(id, body, { transaction, signal });
+            entry.status = "allowed";
+          } else {
+            entry.result = await this.performAction(id, body, { signal });
+            entry.status = "succeeded";
+          }
+        } catch (error) {
+          entry.status = "failed";
+          entry.error = error;
+          // A timeout is one item failing; only the caller's signal (checked
+          // in shouldStop) ends the whole batch
+          if (!continueOnError) stopped = true;
+        }
+        if (onResult) onResult(entry);
+      },
+      {
+        concurrency,
+        shouldStop: () => stopped || Boolean(signal && signal.aborted),
+      }
+    );
+
+    const count = (status) =>
+      results.filter((entry) => entry.status === status).length;
+    return {
+      results,
+      succeeded: count("succeeded"),
+      allowed: count("allowed"),
+      failed: count("failed"),
+      skipped: count("skipped"),
+    };
+  }
 }
 
 // ================================
 // 4. PAYMENT METHODS
 // ================================
 
+// Payment methods in startPayment's default order of preference
+const PAYMENT_METHODS = ["wire_transfer", "paypal", "credit_card"];
+
 class EscrowPayments extends EscrowAPI {
   // Get available payment methods for transaction
-  async getPaymentMethods(transactionId) {
+  async getPaymentMethods(transactionId, requestOptions = {}) {
     return await this.makeRequest(
-      `/transaction/${transactionId}/payment_methods`
+      `/transaction/${transactionId}/payment_methods`,
+      "GET",
+      null,
+      requestOptions
     );
   }
 
   // Select payment method
-  async selectPaymentMethod(transactionId, paymentMethod, options = {}) {
+  async selectPaymentMethod(
+    transactionId,
+    paymentMethod,
+    options = {},
+    requestOptions = {}
+  ) {
     return await this.makeRequest(
       `/transaction/${transactionId}/payment_methods/${paymentMethod}`,
       "POST",
-      options
+      options,
+      this.withIdempotencyKey(requestOptions)
     );
   }
 
   // Get wire transfer details
-  async getWireDetails(transactionId) {
+  async getWireDetails(transactionId, requestOptions = {}) {
     return await this.makeRequest(
-      `/transaction/${transactionId}/payment_methods/wire_transfer`
+      `/transaction/${transactionId}/payment_methods/wire_transfer`,
+      "GET",
+      null,
+      requestOptions
     );
   }
 
   // Get PayPal landing URL
-  async getPayPalURL(transactionId, returnUrl, redirectType = "manual") {
+  async getPayPalURL(
+    transactionId,
+    returnUrl,
+    redirectType = "manual",
+    requestOptions = {}
+  ) {
     const params = new URLSearchParams({
       return_url: returnUrl,
       redirect_type: redirectType,
     });
 
     return await this.makeRequest(
-      `/transaction/${transactionId}/payment_methods/paypal?${params}`
+      `/transaction/${transactionId}/payment_methods/paypal?${params}`,
+      "GET",
+      null,
+      requestOptions
     );
   }
+
+  // Pay for a transaction in one call: pick the first preferred method the
+  // transaction offers, select it and resolve to
+  //   { transactionId, method, status, amount, wire, redirectUrl }
+  // where status is "awaiting_wire" (wire holds the bank instructions),
+  // "redirect" (send the buyer to redirectUrl) or "pending" (the buyer
+  // completes a card payment on Escrow.com). `preference` is a method, a list
+  // of methods in order, or { methods, returnUrl, redirectType }; returnUrl
+  // is required for PayPal.
+  async startPayment(transactionId, preference = {}, requestOptions = {}) {
+    const options =
+      typeof preference === "string" || Array.isArray(preference)
+        ? { methods: preference }
+        : preference;
+    const methods = [].concat(options.methods || PAYMENT_METHODS);
+    // The idempotency key belongs to selectPaymentMethod only
+    const readOptions = this.withoutIdempotencyKey(requestOptions);
+
+    const response = await this.getPaymentMethods(transactionId, readOptions);
+    const available = Array.isArray(response)
+      ? response
+      : (response && response.available_payment_methods) || [];
+    const offered = available.map((entry) => entry.type);
+    const method = methods.find((m) => offered.includes(m));
+    if (!method) {
+      const wanted = methods.join(", ");
+      const offeredList = offered.join(", ") || "none";
+      throw new EscrowValidationError(
+        `None of ${wanted} is offered for transaction ${transactionId}`,
+        null,
+        { errors: { payment_method: [`offered: ${offeredList}`] } }
+      );
+    }
+    if (method === "paypal" && !options.returnUrl) {
+      throw new EscrowValidationError(
+        "PayPal payments need a returnUrl",
+        null,
+        { errors: { returnUrl: ["required for paypal"] } }
+      );
+    }
+
+    await this.selectPaymentMethod(transactionId, method, {}, requestOptions);
+
+    const { total } = available.find((entry) => entry.type === method);
+    const result = {
+      transactionId,
+      method,
+      status: "pending",
+      amount: total != null ? String(total) : null,
+      wire: null,
+      redirectUrl: null,
+    };
+    if (method === "wire_transfer") {
+      result.status = "awaiting_wire";
+      result.wire = await this.getWireDetails(transactionId, readOptions);
+    } else if (method === "paypal") {
+      const { landing_page } = await this.getPayPalURL(
+        transactionId,
+        options.returnUrl,
+        options.redirectType,
+        readOptions
+      );
+      result.status = "redirect";
+      result.redirectUrl = landing_page;
+    }
+    return result;
+  }
+
+  // Poll a transaction until every payment in its schedule is secured and
+  // resolve to the funded transaction. Options: pollInterval (default 5s),
+  // maxPollInterval (60s), timeout (1h) in ms, signal, and onPoll called
+  // with the transaction after each check. Throws an EscrowTimeoutError when
+  // the timeout passes, or an EscrowError if the transaction is cancelled.
+  async waitUntilFunded(transactionId, options = {}) {
+    const {
+      pollInterval = 5000,
+      maxPollInterval = 60000,
+      timeout = 60 * 60 * 1000,
+      signal,
+      onPoll = () => {},
+    } = options;
+
+    const deadline = Date.now() + timeout;
+    let delay = pollInterval;
+
+    for (;;) {
+      const transaction = await this.makeRequest(
+        `/transaction/${transactionId}`,
+        "GET",
+        null,
+        { signal }
+      );
+      onPoll(transaction);
+
+      if (transaction.is_cancelled) {
+        throw new EscrowError(
+          `Transaction ${transactionId} was cancelled before it was funded`,
+          null,
+          transaction
+        );
+      }
+      const schedule = (transaction.items || []).flatMap(
+        (item) => item.schedule || []
+      );
+      if (
+        schedule.length > 0 &&
+        schedule.every((entry) => entry.status && entry.status.secured)
+      ) {
+        return transaction;
+      }
+
+      if (Date.now() + delay > deadline) {
+        throw new EscrowTimeoutError(
+          `Transaction ${transactionId} was not funded after ${timeout}ms`
+        );
+      }
+      await sleep(delay, signal);
+      delay = Math.min(Math.round(delay * 1.5), maxPollInterval);
+    }
+  }
 }
 
 // ================================
@@ -216,40 +1066,315 @@ class EscrowPayments extends EscrowAPI {
 
 class EscrowDisbursement extends EscrowAPI {
   // Get disbursement methods for transaction
-  async getTransactionDisbursements(transactionId) {
+  async getTransactionDisbursements(transactionId, requestOptions = {}) {
     return await this.makeRequest(
-      `/transaction/${transactionId}/disbursement_methods`
+      `/transaction/${transactionId}/disbursement_methods`,
+      "GET",
+      null,
+      requestOptions
     );
   }
 
-  // Set disbursement method
-  async setDisbursementMethod(transactionId, disbursementData) {
+  // Set disbursement method: a model from disbursementMethods.js or a raw
+  // payload. ACH, wire and saved methods are validated locally first and
+  // throw an EscrowValidationError; other payloads are sent as given.
+  async setDisbursementMethod(
+    transactionId,
+    disbursementData,
+    requestOptions = {}
+  ) {
+    const {
+      DisbursementMethod,
+      toDisbursementMethod,
+    } = require("./disbursementMethods");
+    const method = toDisbursementMethod(disbursementData);
+    if (method) method.assertValid();
+
     return await this.makeRequest(
       `/transaction/${transactionId}/disbursement_methods`,
       "PATCH",
-      disbursementData
+      disbursementData instanceof DisbursementMethod
+        ? disbursementData.toJSON()
+        : disbursementData,
+      requestOptions
     );
   }
+
+  // Saved methods offered for a transaction, as SavedDisbursementMethod
+  // models
+  async getSavedDisbursementMethods(transactionId, requestOptions = {}) {
+    const { parseDisbursementMethods } = require("./disbursementMethods");
+    return parseDisbursementMethods(
+      await this.getTransactionDisbursements(transactionId, requestOptions)
+    );
+  }
+
+  // Pay a transaction out to a saved method in its currency, chosen by
+  // chooseDisbursementMethod (options: prefer, id). Resolves to
+  // { method, response }; throws an EscrowNotFoundError if none fits.
+  async useSavedDisbursementMethod(
+    transactionId,
+    options = {},
+    requestOptions = {}
+  ) {
+    const { chooseDisbursementMethod } = require("./disbursementMethods");
+    // The idempotency key belongs to setDisbursementMethod only
+    const readOptions = this.withoutIdempotencyKey(requestOptions);
+    const transaction = await this.makeRequest(
+      `/transaction/${transactionId}`,
+      "GET",
+      null,
+      readOptions
+    );
+    const methods = await this.getSavedDisbursementMethods(
+      transactionId,
+      readOptions
+    );
+    const method = chooseDisbursementMethod(methods, transaction, options);
+    if (!method) {
+      throw new EscrowNotFoundError(
+        `No saved disbursement method fits transaction ${transactionId} (${transaction.currency})`,
+        404,
+        null
+      );
+    }
+
+    const response = await this.setDisbursementMethod(
+      transactionId,
+      method,
+      requestOptions
+    );
+    return { method, response };
+  }
 }
 
 // ================================
 // 6. MILESTONE ITEMS
 // ================================
 
+// Item actions available on a milestone, and on its web links
+const MILESTONE_ACTIONS = ["ship", "receive", "accept", "reject"];
+
 class EscrowMilestones extends EscrowAPI {
   // Perform action on milestone item
-  async performItemAction(transactionId, itemId, action) {
+  async performItemAction(transactionId, itemId, action, requestOptions = {}) {
+    await this.assertTransition(transactionId, action, requestOptions, itemId);
     return await this.makeRequest(
       `/transaction/${transactionId}/item/${itemId}`,
       "PATCH",
-      action
+      action,
+      this.withIdempotencyKey(requestOptions)
     );
   }
 
   // Get web link for milestone action
-  async getItemWebLink(transactionId, itemId, action) {
+  async getItemWebLink(transactionId, itemId, action, requestOptions = {}) {
     return await this.makeRequest(
-      `/transaction/${transactionId}/item/${itemId}/web_link/${action}`
+      `/transaction/${transactionId}/item/${itemId}/web_link/${action}`,
+      "GET",
+      null,
+      requestOptions
+    );
+  }
+
+  // Create a transaction with one milestone item per entry of
+  // params.milestones ({ title, description, amount, inspectionDays }).
+  // Other params: buyer, seller, broker, currency, description, reference
+  // and feeSplit, as in TransactionBuilder.
+  async createMilestoneTransaction(params = {}, requestOptions = {}) {
+    // Required here because transactionBuilder.js requires this module
+    const { TransactionBuilder } = require("./transactionBuilder");
+    const builder = new TransactionBuilder()
+      .currency(params.currency || "usd")
+      .description(params.description || "")
+      .buyer(params.buyer)
+      .seller(params.seller);
+    if (params.broker) builder.broker(params.broker);
+    if (params.reference) builder.reference(params.reference);
+    if (params.feeSplit) builder.feeSplit(params.feeSplit);
+    (params.milestones || []).forEach((milestone) =>
+      builder.addMilestone(milestone)
+    );
+
+    return await this.makeRequest(
+      "/transaction",
+      "POST",
+      builder.build(),
+      this.withIdempotencyKey(requestOptions)
+    );
+  }
+
+  // Every milestone with its state: `funded` once all of its payments are
+  // secured, `released` once they have all been disbursed to the seller.
+  // Pass a transaction object to skip the fetch.
+  async listMilestones(transactionOrId, requestOptions = {}) {
+    const transaction =
+      typeof transactionOrId === "object"
+        ? transactionOrId
+        : await this.makeRequest(
+            `/transaction/${transactionOrId}`,
+            "GET",
+            null,
+            requestOptions
+          );
+
+    return TransactionStateMachine.describe(transaction).items.map((item) => {
+      const states = item.schedule.map((entry) => entry.status);
+      const amount = Money.sum(
+        item.schedule.map((entry) => entry.amount || 0),
+        transaction.currency
+      );
+      return {
+        index: item.index,
+        id: item.id,
+        title: item.title,
+        amount: amount.toString(),
+        status: item.status,
+        funded:
+          states.length > 0 && states.every((s) => s !== "pending_payment"),
+        released: states.length > 0 && states.every((s) => s === "disbursed"),
+      };
+    });
+  }
+
+  // The milestone helpers below take `milestone` as an item index (0-based)
+  // or an item title. shipping is { carrier, trackingId }.
+  async shipMilestone(
+    transactionId,
+    milestone,
+    shipping = {},
+    requestOptions = {}
+  ) {
+    const action = { action: "ship" };
+    if (shipping.carrier || shipping.trackingId) {
+      action.shipping_information = {
+        tracking_information: {
+          carrier: shipping.carrier,
+          tracking_id: shipping.trackingId,
+        },
+      };
+    }
+    return await this.milestoneAction(
+      transactionId,
+      milestone,
+      action,
+      requestOptions
+    );
+  }
+
+  async receiveMilestone(transactionId, milestone, requestOptions = {}) {
+    return await this.milestoneAction(
+      transactionId,
+      milestone,
+      { action: "receive" },
+      requestOptions
+    );
+  }
+
+  async acceptMilestone(transactionId, milestone, requestOptions = {}) {
+    return await this.milestoneAction(
+      transactionId,
+      milestone,
+      { action: "accept" },
+      requestOptions
+    );
+  }
+
+  async rejectMilestone(transactionId, milestone, reason, requestOptions = {}) {
+    return await this.milestoneAction(
+      transactionId,
+      milestone,
+      {
+        action: "reject",
+        rejection_information: { rejection_reason: reason },
+      },
+      requestOptions
+    );
+  }
+
+  // Escrow.com web links for acting on a milestone, keyed by action:
+  // { ship: "https://...", receive: "https://...", ... }
+  async getMilestoneLinks(
+    transactionId,
+    milestone,
+    actions = MILESTONE_ACTIONS,
+    requestOptions = {}
+  ) {
+    const unknown = actions.filter((a) => !MILESTONE_ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      throw new EscrowValidationError(
+        `Unknown milestone action: ${unknown.join(", ")}`,
+        null,
+        { errors: { actions: unknown.map((a) => `unsupported "${a}"`) } }
+      );
+    }
+
+    const { item } = await this.findMilestone(
+      transactionId,
+      milestone,
+      requestOptions
+    );
+    const links = {};
+    for (const action of actions) {
+      const response = await this.getItemWebLink(
+        transactionId,
+        item.id,
+        action,
+        requestOptions
+      );
+      links[action] = response.web_link;
+    }
+    return links;
+  }
+
+  // Look up a milestone by index or title; requestOptions.transaction
+  // supplies a snapshot instead of fetching the transaction
+  async findMilestone(transactionId, milestone, requestOptions = {}) {
+    const transaction =
+      requestOptions.transaction ||
+      (await this.makeRequest(`/transaction/${transactionId}`, "GET", null, {
+        signal: requestOptions.signal,
+      }));
+    const items = Array.isArray(transaction.items) ? transaction.items : [];
+    const matches =
+      typeof milestone === "number"
+        ? items.slice(milestone, milestone + 1)
+        : items.filter((item) => item.title === milestone);
+
+    if (matches.length === 0) {
+      throw new EscrowNotFoundError(
+        `No milestone ${JSON.stringify(
+          milestone
+        )} in transaction ${transactionId}`,
+        null,
+        null
+      );
+    }
+    if (matches.length > 1) {
+      throw new EscrowValidationError(
+        `Several milestones are titled "${milestone}" in transaction ${transactionId}; use an index`,
+        null,
+        { errors: { milestone: ["matches more than one item"] } }
+      );
+    }
+    return { transaction, item: matches[0] };
+  }
+
+  async milestoneAction(transactionId, milestone, action, requestOptions) {
+    const { transaction, item } = await this.findMilestone(
+      transactionId,
+      milestone,
+      requestOptions
+    );
+    // Reuse the fetched snapshot for the lifecycle check
+    const options = this.validateTransitions
+      ? { transaction, ...requestOptions }
+      : requestOptions;
+    return await this.performItemAction(
+      transactionId,
+      item.id,
+      action,
+      options
     );
   }
 }
@@ -260,7 +1385,7 @@ class EscrowMilestones extends EscrowAPI {
 
 class EscrowPartner extends EscrowAPI {
   // List partner transactions with advanced filtering
-  async listPartnerTransactions(filters = {}) {
+  async listPartnerTransactions(filters = {}, requestOptions = {}) {
     const {
       limit = 10,
       next_cursor = 1,
@@ -290,11 +1415,16 @@ class EscrowPartner extends EscrowAPI {
     if (initiation_end_date)
       params.append("initiation_end_date", initiation_end_date);
 
-    return await this.makeRequest(`/partner/transactions?${params}`);
+    return await this.makeRequest(
+      `/partner/transactions?${params}`,
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // List partner customers
-  async listPartnerCustomers(options = {}) {
+  async listPartnerCustomers(options = {}, requestOptions = {}) {
     const {
       limit = 10,
       next_cursor = 1,
@@ -309,26 +1439,163 @@ class EscrowPartner extends EscrowAPI {
       sort_direction,
     });
 
-    return await this.makeRequest(`/partner/customers?${params}`);
+    return await this.makeRequest(
+      `/partner/customers?${params}`,
+      "GET",
+      null,
+      requestOptions
+    );
+  }
+
+  // Iterate over every partner transaction matching `filters`; accepts the
+  // listPartnerTransactions filters plus maxItems, prefetch and signal
+  iterateTransactions(filters = {}) {
+    return this.iterateCursor(
+      (cursorFilters, requestOptions) =>
+        this.listPartnerTransactions(cursorFilters, requestOptions),
+      "transactions",
+      filters
+    );
+  }
+
+  // Iterate over every partner customer
+  iterateCustomers(options = {}) {
+    return this.iterateCursor(
+      (cursorOptions, requestOptions) =>
+        this.listPartnerCustomers(cursorOptions, requestOptions),
+      "customers",
+      options
+    );
+  }
+
+  iterateCursor(list, key, options) {
+    const { maxItems, prefetch, signal, ...listOptions } = options;
+
+    return this.paginate(
+      async (cursor) => {
+        const response = await list(
+          { ...listOptions, next_cursor: cursor },
+          { signal }
+        );
+        return {
+          items: pageItems(response, key),
+          next: (response && response.next_cursor) || null,
+        };
+      },
+      listOptions.next_cursor || 1,
+      { maxItems, prefetch, signal }
+    );
   }
 
   // Generate report
-  async generateReport(reportData) {
-    return await this.makeRequest("/partner/reports", "POST", reportData);
+  async generateReport(reportData, requestOptions = {}) {
+    return await this.makeRequest(
+      "/partner/reports",
+      "POST",
+      reportData,
+      requestOptions
+    );
   }
 
   // List reports
-  async listReports() {
-    return await this.makeRequest("/partner/reports");
+  async listReports(requestOptions = {}) {
+    return await this.makeRequest(
+      "/partner/reports",
+      "GET",
+      null,
+      requestOptions
+    );
   }
 
   // Download report
-  async downloadReport(taskId, asJson = false) {
+  async downloadReport(taskId, asJson = false, requestOptions = {}) {
     const params = asJson ? "?as_json=true" : "";
     return await this.makeRequest(
-      `/partner/reports/${taskId}/download${params}`
+      `/partner/reports/${taskId}/download${params}`,
+      "GET",
+      null,
+      requestOptions
     );
   }
+
+  // Get the status of a report task
+  async getReport(taskId, requestOptions = {}) {
+    return await this.makeRequest(
+      `/partner/reports/${taskId}`,
+      "GET",
+      null,
+      requestOptions
+    );
+  }
+
+  // Generate a report, wait for it and download it in one call. Resolves to
+  // { taskId, format, rows } with CSV or JSON parsed into row objects, or to
+  // { taskId, path, bytes } when options.destination streams it to a file.
+  // Options: format ("csv" | "json"), pollInterval, maxPollInterval and
+  // timeout in ms, signal, columnTypes for CSV columns to convert beyond
+  // the defaults (see parseCSV), and parseRow to map each parsed row.
+  async fetchReport(params = {}, options = {}) {
+    const {
+      format = "csv",
+      pollInterval = 1000,
+      maxPollInterval = 10000,
+      timeout = 5 * 60 * 1000,
+      signal,
+      destination,
+      columnTypes = {},
+      parseRow = (row) => row,
+    } = options;
+
+    const task = await this.generateReport(params, { signal });
+    const taskId = task.task_id;
+    const deadline = Date.now() + timeout;
+    let report = task;
+    let delay = pollInterval;
+
+    while (report.status !== "completed") {
+      if (report.status === "failed") {
+        throw new EscrowError(`Report ${taskId} failed`, null, report);
+      }
+      if (Date.now() + delay > deadline) {
+        throw new EscrowTimeoutError(
+          `Report ${taskId} was not ready after ${timeout}ms`
+        );
+      }
+      await sleep(delay, signal);
+      delay = Math.min(Math.round(delay * 1.5), maxPollInterval);
+      report = await this.getReport(taskId, { signal });
+    }
+
+    const query = format === "json" ? "?as_json=true" : "";
+    const response = await this.makeRequest(
+      `/partner/reports/${taskId}/download${query}`,
+      "GET",
+      null,
+      { raw: true, signal }
+    );
+
+    if (destination) {
+      await pipeline(
+        await bodyStream(response),
+        fs.createWriteStream(destination)
+      );
+      const { size } = await fs.promises.stat(destination);
+      return { taskId, path: destination, bytes: size };
+    }
+
+    const text = await response.text();
+    let rows;
+    if (format === "json") {
+      const body = JSON.parse(text);
+      rows = Array.isArray(body) ? body : body.rows || [];
+    } else {
+      rows = EscrowUtils.parseCSV(text, {
+        ...CSV_COLUMN_TYPES,
+        ...columnTypes,
+      });
+    }
+    return { taskId, format, rows: rows.map(parseRow) };
+  }
 }
 
 // ================================
@@ -336,16 +1603,55 @@ class EscrowPartner extends EscrowAPI {
 // ================================
 
 class EscrowClient extends EscrowAPI {
-  constructor(email, password, isProduction = false) {
-    super(email, password, isProduction);
+  constructor(email, password, isProduction = false, options = {}) {
+    // Share one transport (host, credentials, headers, retries...) and one
+    // idempotency store between the client and its services
+    const idempotency = options.idempotency || {};
+    const shared = {
+      ...options,
+      transport:
+        options.transport ||
+        new EscrowTransport({ ...options, email, password, isProduction }),
+      idempotency: {
+        ...idempotency,
+        store:
+          idempotency.store ||
+          new MemoryIdempotencyStore({
+            maxAge: idempotency.ttl || DEFAULT_IDEMPOTENCY_TTL,
+          }),
+      },
+    };
+    super(null, null, isProduction, shared);
 
     // Initialize all service classes
-    this.customers = new EscrowCustomer(email, password, isProduction);
-    this.transactions = new EscrowTransaction(email, password, isProduction);
-    this.payments = new EscrowPayments(email, password, isProduction);
-    this.disbursements = new EscrowDisbursement(email, password, isProduction);
-    this.milestones = new EscrowMilestones(email, password, isProduction);
-    this.partner = new EscrowPartner(email, password, isProduction);
+    const args = [null, null, isProduction, shared];
+    this.customers = new EscrowCustomer(...args);
+    this.transactions = new EscrowTransaction(...args);
+    this.payments = new EscrowPayments(...args);
+    this.disbursements = new EscrowDisbursement(...args);
+    this.milestones = new EscrowMilestones(...args);
+    this.partner = new EscrowPartner(...args);
+  }
+
+  // Switch every sub-client to a new secret (e.g. a fresh API key) or a new
+  // credential provider without rebuilding the client
+  rotateCredentials(secretOrProvider, email) {
+    this.auth.rotate(secretOrProvider, email);
+  }
+
+  // Change transport settings (baseURL, version, timeout, fetch, headers,
+  // userAgent, retry, rateLimit, logger, cassette) for the client and every
+  // sub-client
+  configure(settings) {
+    this.transport.configure(settings);
+    return this;
+  }
+
+  // Add a beforeRequest / afterResponse / onError interceptor to every
+  // sub-client
+  use(interceptor) {
+    this.transport.use(interceptor);
+    return this;
   }
 
   // Helper method to create a basic transaction
@@ -355,7 +1661,8 @@ class EscrowClient extends EscrowAPI {
     itemTitle,
     itemDescription,
     amount,
-    currency = "usd"
+    currency = "usd",
+    requestOptions = {}
   ) {
     const transactionData = {
       description: `Sale of ${itemTitle}`,
@@ -379,7 +1686,7 @@ class EscrowClient extends EscrowAPI {
           quantity: 1,
           schedule: [
             {
-              amount: amount.toString(),
+              amount: Money.of(amount, currency).toString(),
               payer_customer: buyerEmail,
               beneficiary_customer: sellerEmail,
             },
@@ -400,41 +1707,97 @@ class EscrowClient extends EscrowAPI {
       ],
     };
 
-    return await this.transactions.createTransaction(transactionData);
+    return await this.transactions.createTransaction(
+      transactionData,
+      requestOptions
+    );
   }
 
   // Helper method for common transaction actions
-  async agreeToTransaction(transactionId) {
-    return await this.transactions.performAction(transactionId, {
-      action: "agree",
-    });
+  // requestOptions is passed to performAction (idempotencyKey, transaction)
+  async agreeToTransaction(transactionId, requestOptions = {}) {
+    return await this.transactions.performAction(
+      transactionId,
+      { action: "agree" },
+      requestOptions
+    );
   }
 
-  async shipItem(transactionId, carrier, trackingId) {
-    return await this.transactions.performAction(transactionId, {
-      action: "ship",
-      shipping_information: {
-        tracking_information: {
-          carrier: carrier,
-          tracking_id: trackingId,
+  async shipItem(transactionId, carrier, trackingId, requestOptions = {}) {
+    return await this.transactions.performAction(
+      transactionId,
+      {
+        action: "ship",
+        shipping_information: {
+          tracking_information: {
+            carrier: carrier,
+            tracking_id: trackingId,
+          },
         },
       },
-    });
+      requestOptions
+    );
   }
 
-  async acceptItem(transactionId) {
-    return await this.transactions.performAction(transactionId, {
-      action: "accept",
-    });
+  async acceptItem(transactionId, requestOptions = {}) {
+    return await this.transactions.performAction(
+      transactionId,
+      { action: "accept" },
+      requestOptions
+    );
   }
 
-  async rejectItem(transactionId, reason) {
-    return await this.transactions.performAction(transactionId, {
-      action: "reject",
-      rejection_information: {
-        rejection_reason: reason,
+  async rejectItem(transactionId, reason, requestOptions = {}) {
+    return await this.transactions.performAction(
+      transactionId,
+      {
+        action: "reject",
+        rejection_information: {
+          rejection_reason: reason,
+        },
       },
-    });
+      requestOptions
+    );
+  }
+
+  async cancelTransaction(transactionId, requestOptions = {}) {
+    return await this.transactions.performAction(
+      transactionId,
+      { action: "cancel" },
+      requestOptions
+    );
+  }
+
+  // Lifecycle breakdown of a transaction and the actions each party may
+  // take next; pass a transaction object to skip the fetch
+  async getLifecycle(transactionOrId) {
+    const transaction =
+      typeof transactionOrId === "object"
+        ? transactionOrId
+        : await this.transactions.getTransaction(transactionOrId);
+    return {
+      ...TransactionStateMachine.describe(transaction),
+      allowedActions:
+        TransactionStateMachine.allowedActionsByParty(transaction),
+    };
+  }
+
+  // Chronological audit trail of a transaction, from its timeline and its
+  // current state; render it with renderAuditTrail() from auditTrail.js.
+  // Pass a transaction object to skip fetching it.
+  async getAuditTrail(transactionOrId, requestOptions = {}) {
+    const transaction =
+      typeof transactionOrId === "object"
+        ? transactionOrId
+        : await this.transactions.getTransaction(
+            transactionOrId,
+            requestOptions
+          );
+    const timeline = await this.transactions.getTimeline(
+      transaction.id,
+      requestOptions
+    );
+    return buildAuditTrail(transaction, timeline);
   }
 }
 
@@ -500,20 +1863,269 @@ async function demonstrateEscrowAPI() {
 // 10. ERROR HANDLING & UTILITIES
 // ================================
 
+// Base class for every error thrown by makeRequest. `response` is the parsed
+// response body (or raw text when it is not JSON); `details` carries the
+// request method, URL and the request id reported by the API.
 class EscrowError extends Error {
-  constructor(message, statusCode, response) {
+  constructor(message, statusCode, response, details = {}) {
     super(message);
     this.name = "EscrowError";
     this.statusCode = statusCode;
     this.response = response;
+    this.method = details.method || null;
+    this.url = details.url || null;
+    this.requestId = details.requestId || null;
+    this.retryAfter = null;
+    if (details.cause) this.cause = details.cause;
+  }
+
+  // Build the matching subclass from a failed fetch Response
+  static async fromResponse(response, details = {}) {
+    const text = await response.text().catch(() => "");
+    let body = text || null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (jsonError) {
+      // If response is not JSON, keep the raw text
+    }
+
+    const reason =
+      (body && typeof body === "object" && body.error) || response.statusText;
+    const message = `API Error: ${response.status} - ${reason}`;
+    const requestId =
+      response.headers.get("x-request-id") ||
+      (body && typeof body === "object" && body.request_id) ||
+      null;
+
+    const ErrorClass = errorClassForStatus(response.status);
+    const error = new ErrorClass(message, response.status, body, {
+      ...details,
+      requestId,
+    });
+
+    error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    return error;
+  }
+}
+
+// 401 / 403 - bad credentials or missing permissions
+class EscrowAuthenticationError extends EscrowError {
+  constructor(...args) {
+    super(...args);
+    this.name = "EscrowAuthenticationError";
+  }
+}
+
+// 400 / 422 - the request was rejected; `errors` maps fields to messages
+class EscrowValidationError extends EscrowError {
+  constructor(...args) {
+    super(...args);
+    this.name = "EscrowValidationError";
+    this.errors = (this.response && this.response.errors) || {};
+  }
+}
+
+// 404 - unknown transaction, customer, item, report, ...
+class EscrowNotFoundError extends EscrowError {
+  constructor(...args) {
+    super(...args);
+    this.name = "EscrowNotFoundError";
+  }
+}
+
+// 429 - `retryAfter` holds the Retry-After delay in milliseconds, if sent
+class EscrowRateLimitError extends EscrowError {
+  constructor(...args) {
+    super(...args);
+    this.name = "EscrowRateLimitError";
+  }
+}
+
+// 5xx - failure on Escrow's side
+class EscrowServerError extends EscrowError {
+  constructor(...args) {
+    super(...args);
+    this.name = "EscrowServerError";
+  }
+}
+
+// Raised locally, before any request, for an action the transaction
+// lifecycle does not allow; `details` lists the allowed actions
+class EscrowTransitionError extends EscrowError {
+  constructor(message, details = {}) {
+    super(message, null, null);
+    this.name = "EscrowTransitionError";
+    this.action = details.action;
+    this.role = details.role;
+    this.allowed = details.allowed || [];
+    this.transactionId = details.transactionId;
+    this.itemId = details.itemId;
+  }
+}
+
+// A response that does not match its schema in strict: "throw" mode (see
+// schemas.js); `issues` lists each mismatch as { path, kind, message }
+class EscrowSchemaError extends EscrowError {
+  constructor(message, details = {}) {
+    super(message, null, null, details);
+    this.name = "EscrowSchemaError";
+    this.schema = details.schema;
+    this.issues = details.issues || [];
+  }
+}
+
+// The request never got a response (DNS, connection reset, ...)
+class EscrowNetworkError extends EscrowError {
+  constructor(message, details = {}) {
+    super(message, null, null, details);
+    this.name = "EscrowNetworkError";
+  }
+}
+
+function errorClassForStatus(status) {
+  if (status === 401 || status === 403) return EscrowAuthenticationError;
+  if (status === 400 || status === 422) return EscrowValidationError;
+  if (status === 404) return EscrowNotFoundError;
+  if (status === 429) return EscrowRateLimitError;
+  if (status >= 500) return EscrowServerError;
+  return EscrowError;
+}
+
+// Iteration was stopped through an AbortSignal
+class EscrowAbortError extends EscrowError {
+  constructor(message = "Operation aborted", details = {}) {
+    super(message, null, null, details);
+    this.name = "EscrowAbortError";
+  }
+}
+
+// A wait exceeded its time limit
+class EscrowTimeoutError extends EscrowAbortError {
+  constructor(message = "Operation timed out", details = {}) {
+    super(message, details);
+    this.name = "EscrowTimeoutError";
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new EscrowAbortError("Operation aborted", { cause: signal.reason });
+  }
+}
+
+// Items of one listing page; tolerates a bare array response
+function pageItems(response, key) {
+  if (Array.isArray(response)) return response;
+  return (response && Array.isArray(response[key]) && response[key]) || [];
+}
+
+// Report columns parseCSV converts by default; every other column, amounts
+// included, stays a string so no precision is lost (see money.js)
+const CSV_COLUMN_TYPES = {
+  id: "integer",
+  transaction_id: "integer",
+  customer_id: "integer",
+  item_id: "integer",
+  is_cancelled: "boolean",
+  is_draft: "boolean",
+  agreed: "boolean",
+};
+
+// A response body as a Node stream. Global fetch gives a WHATWG stream;
+// node-fetch and similar `fetch` options already give a Readable; without a
+// body stream the buffered body is used.
+async function bodyStream(response) {
+  const { body } = response;
+  if (body && typeof body.pipe === "function") return body;
+  if (body && typeof body.getReader === "function") {
+    return Readable.fromWeb(body);
   }
+  return Readable.from([Buffer.from(await response.arrayBuffer())]);
+}
+
+// A cell as the type its column is known to hold; a value that does not
+// fit the type is kept as the string it was
+function coerceCSVValue(value, type) {
+  if (value === undefined || value === "") return null;
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (type === "integer" && /^-?(0|[1-9]\d*)$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
 }
 
 // Utility functions
 const EscrowUtils = {
-  // Format amount to string with 2 decimal places
-  formatAmount(amount) {
-    return Number(amount).toFixed(2);
+  // Format an amount (Money, decimal string or number) as the API expects
+  // it, e.g. "1250.00"; see money.js
+  formatAmount(amount, currency) {
+    return Money.of(amount, currency).toString();
+  },
+
+  // Parse CSV text (RFC 4180 quoting) into row objects keyed by the header
+  // line. Empty cells become null; columns named in `columnTypes` ("integer"
+  // or "boolean", default CSV_COLUMN_TYPES) are converted, the rest are
+  // left as strings
+  parseCSV(text, columnTypes = CSV_COLUMN_TYPES) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        record.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [header = [], ...rows] = records;
+    return rows
+      .filter((row) => row.some((cell) => cell !== ""))
+      .map((row) =>
+        Object.fromEntries(
+          header.map((column, i) => [
+            column,
+            coerceCSVValue(row[i], columnTypes[column]),
+          ])
+        )
+      );
   },
 
   // Validate email format
@@ -527,30 +2139,12 @@ const EscrowUtils = {
     return days * 24 * 60 * 60;
   },
 
-  // Transaction status helpers
+  // Transaction status helper, kept for compatibility; see
+  // TransactionStateMachine for item/schedule states and allowed actions.
+  // Null for anything but a transaction object
   getTransactionStatus(transaction) {
-    if (transaction.is_cancelled) return "cancelled";
-    if (transaction.is_draft) return "draft";
-
-    // Check if all parties agreed
-    const allAgreed = transaction.parties.every((party) => party.agreed);
-    if (!allAgreed) return "pending_agreement";
-
-    // Check payment status
-    const hasSecuredPayment = transaction.items.some((item) =>
-      item.schedule.some((schedule) => schedule.status?.secured)
-    );
-    if (!hasSecuredPayment) return "pending_payment";
-
-    // Check shipping status
-    const hasShipped = transaction.items.some((item) => item.status?.shipped);
-    if (!hasShipped) return "pending_shipment";
-
-    // Check acceptance status
-    const hasAccepted = transaction.items.some((item) => item.status?.accepted);
-    if (!hasAccepted) return "pending_acceptance";
-
-    return "completed";
+    if (!transaction || typeof transaction !== "object") return null;
+    return TransactionStateMachine.transactionState(transaction);
   },
 };
 
@@ -558,8 +2152,21 @@ const EscrowUtils = {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     EscrowClient,
+    EscrowTransport,
     EscrowUtils,
     EscrowError,
+    EscrowAuthenticationError,
+    EscrowValidationError,
+    EscrowNotFoundError,
+    EscrowRateLimitError,
+    EscrowServerError,
+    EscrowNetworkError,
+    EscrowTransitionError,
+    EscrowSchemaError,
+    EscrowAbortError,
+    EscrowTimeoutError,
+    TransactionStateMachine,
+    Money,
   };
 }
 
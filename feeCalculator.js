@@ -0,0 +1,318 @@
+// Escrow.com API - Fee Calculator
+// Quotes what each party pays and receives for a createTransaction payload
+// (e.g. from TransactionBuilder) before it is sent: item amounts, broker
+// commissions, shipping fees and escrow fees shared out by each item's fee
+// splits. Escrow fees come from a local fee schedule, so quotes work offline;
+// compare() checks a quote against the amounts on the created transaction.
+//
+//   const quote = new FeeCalculator().quote(payload);
+//   const { matches, differences } = calculator.compare(payload, created);
+
+const { Money } = require("./money");
+const { EscrowValidationError } = require("./escrowService");
+
+// ================================
+// 1. FEE SCHEDULES
+// ================================
+
+// Rates by transaction size, keyed by item type with a `default` entry. These
+// approximate Escrow's published rates; configure FeeSchedule with the
+// pricing of your account for exact quotes.
+const DEFAULT_FEE_TIERS = {
+  default: [
+    { upTo: "5000.00", rate: "0.0325" },
+    { upTo: "50000.00", rate: "0.026" },
+    { upTo: null, rate: "0.024" },
+  ],
+};
+
+const DEFAULT_MINIMUM_FEE = "25.00";
+
+// A fee schedule is any object with escrowFees(items, currency) returning
+// one Money per item, where each item is { type, amount (Money), feeBearing }
+// and items that are not fee bearing (broker and shipping fees) get zero.
+class FeeSchedule {
+  // Options: tiers ({ default: [...], [itemType]: [...] }, each tier
+  // { upTo, rate } with upTo null on the last), minimum (escrow fee floor per
+  // transaction, default "25.00"; "0" turns it off) and rounding (a Money
+  // rounding mode, default "half_up")
+  constructor(options = {}) {
+    this.tiers = { ...DEFAULT_FEE_TIERS, ...(options.tiers || {}) };
+    this.minimum =
+      options.minimum != null ? options.minimum : DEFAULT_MINIMUM_FEE;
+    this.rounding = options.rounding || "half_up";
+  }
+
+  // Rate for an item of `type` in a transaction whose fee-bearing items
+  // total `total`
+  rate(type, total) {
+    const tiers = this.tiers[type] || this.tiers.default;
+    const tier = tiers.find(
+      ({ upTo }) =>
+        upTo == null || total.compare(Money.of(upTo, total.currency)) <= 0
+    );
+    return (tier || tiers[tiers.length - 1]).rate;
+  }
+
+  escrowFees(items, currency) {
+    const bearing = items.filter((item) => item.feeBearing);
+    const total = Money.sum(
+      bearing.map((item) => item.amount),
+      currency
+    );
+    const fees = items.map((item) =>
+      item.feeBearing
+        ? item.amount.multiply(this.rate(item.type, total), this.rounding)
+        : Money.zero(currency)
+    );
+
+    // Top up to the minimum, shared in proportion to the item amounts
+    const minimum = Money.of(this.minimum, currency);
+    if (total.isPositive() && Money.sum(fees, currency).compare(minimum) < 0) {
+      const shares = minimum.allocate(bearing.map((item) => item.amount.minor));
+      return items.map((item) =>
+        item.feeBearing ? shares[bearing.indexOf(item)] : Money.zero(currency)
+      );
+    }
+    return fees;
+  }
+}
+
+// ================================
+// 2. CALCULATOR
+// ================================
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+const isEscrowFee = (fee) => !fee.type || fee.type === "escrow";
+
+class FeeCalculator {
+  // Options: schedule (any fee schedule; default a FeeSchedule built from
+  // the remaining options)
+  constructor(options = {}) {
+    this.schedule = options.schedule || new FeeSchedule(options);
+  }
+
+  // Quote a createTransaction payload, offline; throws an
+  // EscrowValidationError if an amount or party is missing. Returns
+  // { currency, items, parties, totals } with Money amounts:
+  //   items:   { index, title, type, amount, escrowFee,
+  //              fees: [{ payer_customer, split, amount }] }
+  //   parties: { customer, role, paid, received, escrowFee, net }
+  // A buyer's outlay is paid + escrowFee; a seller's payout is net.
+  quote(payload) {
+    const currency = payload.currency || "usd";
+    const items = readItems(payload, currency);
+    const escrowFees = this.schedule.escrowFees(
+      items.map((item) => ({
+        type: item.type,
+        amount: item.amount,
+        feeBearing: item.fees.length > 0,
+      })),
+      currency
+    );
+
+    for (const item of items) {
+      const fee = Money.of(escrowFees[item.index], currency);
+      const shares = fee.isZero()
+        ? item.fees.map(() => fee)
+        : fee.allocate(item.fees.map((f) => f.split));
+      item.fees.forEach((f, i) => {
+        f.amount = shares[i];
+      });
+    }
+    return summarize(payload, items, currency);
+  }
+
+  // Compare the quote for `payload` with `transaction`, the transaction the
+  // API returned for it (from createTransaction or getTransaction). Returns
+  // { matches, differences, quote, actual }, each difference being
+  // { field, expected, actual } with amounts as decimal strings.
+  compare(payload, transaction) {
+    const quote = this.quote(payload);
+    const currency = transaction.currency || quote.currency;
+    const actual = summarize(
+      transaction,
+      readItems(transaction, currency, { feeAmounts: true }),
+      currency
+    );
+
+    const differences = [];
+    const check = (field, expected, got) => {
+      const want = expected == null ? null : String(expected);
+      const have = got == null ? null : String(got);
+      if (want !== have) {
+        differences.push({ field, expected: want, actual: have });
+      }
+    };
+
+    check("currency", quote.currency, actual.currency);
+    quote.items.forEach((item, index) => {
+      const other = actual.items[index] || { fees: [] };
+      check(`items[${index}].amount`, item.amount, other.amount);
+      check(`items[${index}].escrowFee`, item.escrowFee, other.escrowFee);
+      item.fees.forEach((fee, i) => {
+        const match =
+          other.fees.find((f) => f.payer_customer === fee.payer_customer) || {};
+        check(`items[${index}].fees[${i}].amount`, fee.amount, match.amount);
+      });
+    });
+    if (actual.items.length > quote.items.length) {
+      check("items.length", quote.items.length, actual.items.length);
+    }
+    for (const party of quote.parties) {
+      const other =
+        actual.parties.find((p) => p.customer === party.customer) || {};
+      for (const key of ["paid", "received", "escrowFee", "net"]) {
+        check(`parties[${party.customer}].${key}`, party[key], other[key]);
+      }
+    }
+
+    return { matches: differences.length === 0, differences, quote, actual };
+  }
+}
+
+// Items of a payload or transaction with Money schedule amounts. Fee amounts
+// are read too with options.feeAmounts (a missing one is left null).
+function readItems(source, currency, options = {}) {
+  const errors = {};
+  const addError = (field, message) => {
+    (errors[field] = errors[field] || []).push(message);
+  };
+  const toMoney = (value, field) => {
+    try {
+      return Money.of(value, currency);
+    } catch (error) {
+      addError(field, error.message);
+      return Money.zero(currency);
+    }
+  };
+
+  const items = asArray(source.items).map((item, index) => {
+    const field = `items[${index}]`;
+    const schedule = asArray(item.schedule).map((entry, i) => {
+      if (!entry.payer_customer || !entry.beneficiary_customer) {
+        addError(`${field}.schedule[${i}]`, "needs a payer and beneficiary");
+      }
+      return {
+        amount: toMoney(entry.amount, `${field}.schedule[${i}].amount`),
+        payer_customer: entry.payer_customer,
+        beneficiary_customer: entry.beneficiary_customer,
+      };
+    });
+    if (schedule.length === 0) addError(`${field}.schedule`, "is empty");
+
+    const fees = asArray(item.fees)
+      .filter(isEscrowFee)
+      .map((fee, i) => {
+        if (!fee.payer_customer) {
+          addError(`${field}.fees[${i}]`, "needs a payer");
+        }
+        return {
+          payer_customer: fee.payer_customer,
+          split: String(fee.split != null ? fee.split : 1),
+          amount:
+            options.feeAmounts && fee.amount != null
+              ? toMoney(fee.amount, `${field}.fees[${i}].amount`)
+              : null,
+        };
+      });
+
+    return {
+      index,
+      title: item.title,
+      type: item.type,
+      amount: Money.sum(
+        schedule.map((entry) => entry.amount),
+        currency
+      ),
+      schedule,
+      fees,
+    };
+  });
+
+  if (items.length === 0) addError("items", "at least one item is required");
+  if (Object.keys(errors).length > 0) {
+    throw new EscrowValidationError("Cannot quote this transaction", null, {
+      errors,
+    });
+  }
+  return items;
+}
+
+// Per-item and per-party totals; parties appear in payload order, followed
+// by any customer named only in schedules or fees
+function summarize(source, items, currency) {
+  const parties = new Map();
+  const party = (customer) => {
+    if (!parties.has(customer)) {
+      const known = asArray(source.parties).find(
+        (p) => p.customer === customer
+      );
+      parties.set(customer, {
+        customer,
+        role: known ? known.role : null,
+        paid: Money.zero(currency),
+        received: Money.zero(currency),
+        escrowFee: Money.zero(currency),
+      });
+    }
+    return parties.get(customer);
+  };
+  asArray(source.parties).forEach((p) => party(p.customer));
+
+  const summary = items.map((item) => {
+    for (const entry of item.schedule) {
+      const payer = party(entry.payer_customer);
+      const beneficiary = party(entry.beneficiary_customer);
+      payer.paid = payer.paid.add(entry.amount);
+      beneficiary.received = beneficiary.received.add(entry.amount);
+    }
+    for (const fee of item.fees) {
+      if (!fee.amount) continue;
+      const payer = party(fee.payer_customer);
+      payer.escrowFee = payer.escrowFee.add(fee.amount);
+    }
+    return {
+      index: item.index,
+      title: item.title,
+      type: item.type,
+      amount: item.amount,
+      escrowFee: Money.sum(
+        item.fees.map((fee) => fee.amount).filter(Boolean),
+        currency
+      ),
+      fees: item.fees.map(({ payer_customer, split, amount }) => ({
+        payer_customer,
+        split,
+        amount,
+      })),
+    };
+  });
+
+  return {
+    currency,
+    items: summary,
+    parties: [...parties.values()].map((p) => ({
+      ...p,
+      net: p.received.subtract(p.paid).subtract(p.escrowFee),
+    })),
+    totals: {
+      amount: Money.sum(
+        summary.map((item) => item.amount),
+        currency
+      ),
+      escrowFee: Money.sum(
+        summary.map((item) => item.escrowFee),
+        currency
+      ),
+    },
+  };
+}
+
+module.exports = {
+  FeeCalculator,
+  FeeSchedule,
+  DEFAULT_FEE_TIERS,
+  DEFAULT_MINIMUM_FEE,
+};
@@ -0,0 +1,109 @@
+// Escrow.com API - Idempotency Key Stores
+// Records the result of non-idempotent calls (createTransaction, performAction,
+// ...) under their idempotency key so a replay returns the recorded result
+// instead of sending the request again.
+//
+// A store is any object with async get(key), set(key, record) and delete(key).
+// Records look like { method, endpoint, result, createdAt }.
+
+const fs = require("fs");
+const path = require("path");
+
+// ================================
+// 1. IN-MEMORY STORE
+// ================================
+
+// Records older than maxAge (ms) are dropped whenever one is added
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    const cutoff = Date.now() - this.maxAge;
+    for (const [stored, { createdAt }] of this.records) {
+      if (createdAt < cutoff) this.records.delete(stored);
+    }
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+// ================================
+// 2. FILE-BACKED STORE
+// ================================
+
+// Keeps records in a single JSON file so replays survive a process restart.
+// Records older than maxAge (ms) are dropped whenever the file is written.
+// Overlapping calls share one load and write the file one at a time.
+class FileIdempotencyStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+    this.loading = null;
+    this.writes = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = fs.promises.readFile(this.filePath, "utf8").then(
+        (content) => JSON.parse(content),
+        (error) => {
+          if (error.code !== "ENOENT") throw error;
+          return {};
+        }
+      );
+      // A failed read is retried on the next call
+      this.loading.catch(() => (this.loading = null));
+    }
+    return this.loading;
+  }
+
+  // Queue a write of the current records behind any write in progress, so
+  // two renames never race for the same temporary file
+  save() {
+    const write = this.writes.then(() => this.write());
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async write() {
+    const records = await this.load();
+    const cutoff = Date.now() - this.maxAge;
+    for (const [key, record] of Object.entries(records)) {
+      if (record.createdAt < cutoff) delete records[key];
+    }
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(records, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async get(key) {
+    const records = await this.load();
+    return records[key] || null;
+  }
+
+  async set(key, record) {
+    const records = await this.load();
+    records[key] = record;
+    await this.save();
+  }
+
+  async delete(key) {
+    const records = await this.load();
+    delete records[key];
+    await this.save();
+  }
+}
+
+module.exports = { MemoryIdempotencyStore, FileIdempotencyStore };
@@ -0,0 +1,131 @@
+// Escrow.com API - Logging & Redaction
+// A logger is any object with debug/info/warn/error(message, fields) methods,
+// so console, pino or winston can be passed straight in. createLogger writes
+// text or JSON lines at a minimum level; silentLogger, the default, drops
+// everything. redact() masks credentials and bank details before logging.
+
+// ================================
+// 1. LEVELS
+// ================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// ================================
+// 2. REDACTION
+// ================================
+
+const REDACTED = "[REDACTED]";
+
+// Keys masked wherever they appear, compared case-insensitively and
+// ignoring underscores, so accountNumber matches account_number
+const SENSITIVE_KEYS = [
+  "authorization",
+  "password",
+  "secret",
+  "api_key",
+  "account_name",
+  "account_number",
+  "routing_number",
+  "iban",
+  "swift_code",
+  "bic",
+  "sort_code",
+  "bank_name",
+  "bank_address",
+  "bsb",
+  "transit_number",
+  "institution_number",
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/_/g, "");
+const SENSITIVE = new Set(SENSITIVE_KEYS.map(normalizeKey));
+
+// Endpoints whose request and response bodies are masked as a whole: wire
+// transfer instructions and disbursement (payout) methods
+const SENSITIVE_ENDPOINTS = [
+  /\/payment_methods\/wire_transfer(\?|$)/,
+  /\/disbursement_methods(\?|$)/,
+];
+
+// Deep copy of `value` with sensitive keys masked
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    copy[key] = SENSITIVE.has(normalizeKey(key)) ? REDACTED : redact(entry);
+  }
+  return copy;
+}
+
+// Request or response body as it may be logged for `endpoint`
+function redactBody(endpoint, body) {
+  if (body == null) return body;
+  if (SENSITIVE_ENDPOINTS.some((pattern) => pattern.test(endpoint))) {
+    return REDACTED;
+  }
+  return redact(body);
+}
+
+// ================================
+// 3. LOGGERS
+// ================================
+
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+// Options: level ("debug", "info", "warn", "error" or "silent"; default
+// "info"), format ("text" or "json") and stream (default process.stderr)
+function createLogger(options = {}) {
+  const { level = "info", format = "text", stream = process.stderr } = options;
+  if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+  if (!["text", "json"].includes(format)) {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+
+  const write = (entryLevel, message, fields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+    const time = new Date().toISOString();
+    const safe = redact(fields);
+
+    if (format === "json") {
+      stream.write(
+        `${JSON.stringify({ time, level: entryLevel, message, ...safe })}\n`
+      );
+      return;
+    }
+
+    const details = Object.entries(safe)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) =>
+        typeof value === "object"
+          ? `${key}=${JSON.stringify(value)}`
+          : `${key}=${value}`
+      );
+    stream.write(
+      `${[time, entryLevel.toUpperCase(), message, ...details].join(" ")}\n`
+    );
+  };
+
+  return {
+    level,
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+  silentLogger,
+  redact,
+  redactBody,
+  LEVELS,
+  REDACTED,
+};
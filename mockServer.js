@@ -0,0 +1,799 @@
+// Escrow.com API - Local Mock Server
+// In-process HTTP server implementing the /2017-09-01 routes used by
+// EscrowClient, so the test runner can work offline without touching the sandbox.
+
+const http = require("http");
+const { Money } = require("./money");
+
+// Escrow fees the mock charges, by item title and paying customer. They are
+// fixed amounts, written down by hand rather than computed, so FeeCalculator
+// quotes are checked against something other than themselves. Items not
+// listed are created without fee amounts.
+const DEFAULT_ESCROW_FEES = {
+  // 1000.00 at 3.25%, split 25/75
+  Camera: { "buyer@example.com": "8.13", "seller@example.com": "24.37" },
+};
+
+// ================================
+// 1. HELPERS
+// ================================
+
+function sendJSON(res, statusCode, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+function sendText(res, statusCode, text, contentType) {
+  res.writeHead(statusCode, {
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(text),
+  });
+  res.end(text);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      if (!raw) return resolve(null);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function parseBasicAuth(header) {
+  if (!header || !header.startsWith("Basic ")) return null;
+  const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator === -1) return null;
+  return {
+    username: decoded.slice(0, separator),
+    secret: decoded.slice(separator + 1),
+  };
+}
+
+// ================================
+// 2. MOCK SERVER
+// ================================
+
+class EscrowMockServer {
+  constructor(options = {}) {
+    this.email = options.email || "mock@example.com";
+    this.password = options.password || "mock-password";
+    this.version = options.version || "2017-09-01";
+    // Status checks a report stays "pending" for before it completes
+    this.reportPolls = options.reportPolls != null ? options.reportPolls : 1;
+    // Payment methods offered on every transaction
+    this.offeredPaymentMethods = options.paymentMethods || [
+      "wire_transfer",
+      "paypal",
+      "credit_card",
+    ];
+    // Escrow fee amounts charged on new transactions; see DEFAULT_ESCROW_FEES
+    this.escrowFees = options.escrowFees || DEFAULT_ESCROW_FEES;
+    this.server = null;
+    this.url = null;
+    this.routes = this.buildRoutes();
+    this.reset();
+  }
+
+  // Clear all in-memory state
+  reset() {
+    this.nextId = { customer: 1, transaction: 1000, item: 1, misc: 1 };
+    this.customers = new Map();
+    this.transactions = new Map();
+    this.timelines = new Map();
+    this.apiKeys = [];
+    this.webhooks = [];
+    this.reports = new Map();
+    // Status checks made on each report, kept out of its payload
+    this.reportChecks = new Map();
+    this.requests = [];
+    this.idempotentResponses = new Map();
+    this.me = this.findOrCreateCustomer(this.email);
+  }
+
+  // Start listening on a random local port; resolves to the base URL
+  async start(port = 0) {
+    if (this.server) return this.url;
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, "127.0.0.1", resolve);
+    });
+
+    const address = this.server.address();
+    this.url = `http://127.0.0.1:${address.port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  // ---------- state helpers ----------
+
+  findOrCreateCustomer(email) {
+    for (const customer of this.customers.values()) {
+      if (customer.email === email) return customer;
+    }
+    const customer = {
+      id: this.nextId.customer++,
+      email,
+      first_name: "",
+      last_name: "",
+      disbursement_methods: [],
+    };
+    this.customers.set(customer.id, customer);
+    return customer;
+  }
+
+  addTimelineEntry(transactionId, message) {
+    const entries = this.timelines.get(transactionId) || [];
+    entries.push({
+      id: this.nextId.misc++,
+      date: new Date().toISOString(),
+      message,
+    });
+    this.timelines.set(transactionId, entries);
+  }
+
+  // Save a disbursement method on the account, as the API lists it: bank
+  // details masked to the last four digits
+  saveDisbursementMethod(method) {
+    const saved = { ...method, id: this.nextId.misc++ };
+    for (const field of ["account_number", "iban"]) {
+      if (saved[field]) saved[field] = `****${saved[field].slice(-4)}`;
+    }
+    delete saved.routing_number;
+    this.me.disbursement_methods.push(saved);
+    return saved;
+  }
+
+  // Mark every schedule entry of a transaction as paid; used by tests to
+  // simulate the buyer funding the escrow
+  securePayment(transactionId) {
+    const transaction = this.transactions.get(Number(transactionId));
+    if (!transaction) return null;
+    transaction.items.forEach((item) =>
+      item.schedule.forEach((entry) => {
+        entry.status = { ...entry.status, secured: true };
+      })
+    );
+    this.addTimelineEntry(transaction.id, "Payment secured");
+    return transaction;
+  }
+
+  // ---------- request handling ----------
+
+  authenticate(req) {
+    const credentials = parseBasicAuth(req.headers.authorization);
+    if (!credentials || credentials.username !== this.email) return false;
+    if (credentials.secret === this.password) return true;
+    return this.apiKeys.some((key) => key.secret === credentials.secret);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    this.requests.push({
+      method: req.method,
+      path: url.pathname + url.search,
+      headers: req.headers,
+    });
+
+    const prefix = `/${this.version}`;
+    if (!url.pathname.startsWith(prefix)) {
+      return sendJSON(res, 404, { error: "Unknown API version" });
+    }
+
+    if (!this.authenticate(req)) {
+      return sendJSON(res, 401, { error: "Authentication failed" });
+    }
+
+    let body = null;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return sendJSON(res, 400, { error: "Request body is not valid JSON" });
+    }
+
+    const path = url.pathname.slice(prefix.length);
+    for (const route of this.routes) {
+      if (route.method !== req.method) continue;
+      const match = route.pattern.exec(path);
+      if (!match) continue;
+
+      // Answer a repeated Idempotency-Key with the recorded response
+      const idempotencyKey = req.headers["idempotency-key"];
+      if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+        const [status, payload] = this.idempotentResponses.get(idempotencyKey);
+        return sendJSON(res, status, payload);
+      }
+
+      try {
+        const [status, payload, contentType] = route.handler(
+          match.slice(1),
+          body || {},
+          url.searchParams
+        );
+        if (contentType) return sendText(res, status, payload, contentType);
+        if (idempotencyKey && status < 300) {
+          this.idempotentResponses.set(idempotencyKey, [status, payload]);
+        }
+        return sendJSON(res, status, payload);
+      } catch (error) {
+        return sendJSON(res, 500, { error: error.message });
+      }
+    }
+
+    return sendJSON(res, 404, { error: "Not found" });
+  }
+
+  buildRoutes() {
+    const route = (method, pattern, handler) => ({
+      method,
+      pattern: new RegExp(`^${pattern}$`),
+      handler: handler.bind(this),
+    });
+
+    return [
+      // Customers
+      route("GET", "/customer/me", this.getMe),
+      route("GET", "/customer/me/api_key", this.listAPIKeys),
+      route("POST", "/customer/me/api_key", this.createAPIKey),
+      route(
+        "GET",
+        "/customer/me/disbursement_methods",
+        this.getMyDisbursements
+      ),
+      route("GET", "/customer/me/webhook", this.listWebhooks),
+      route("POST", "/customer/me/webhook", this.createWebhook),
+      route("GET", "/customer/(\\d+)", this.getCustomer),
+
+      // Transactions
+      route("GET", "/transaction", this.listTransactions),
+      route("POST", "/transaction", this.createTransaction),
+      route("GET", "/transaction/reference/([^/]+)", this.getByReference),
+      route("GET", "/transaction/(\\d+)", this.getTransaction),
+      route("PATCH", "/transaction/(\\d+)", this.transactionAction),
+      route("GET", "/transaction/(\\d+)/timeline-entries", this.getTimeline),
+
+      // Payments
+      route("GET", "/transaction/(\\d+)/payment_methods", this.paymentMethods),
+      route(
+        "GET",
+        "/transaction/(\\d+)/payment_methods/wire_transfer",
+        this.wireDetails
+      ),
+      route(
+        "GET",
+        "/transaction/(\\d+)/payment_methods/paypal",
+        this.paypalURL
+      ),
+      route(
+        "POST",
+        "/transaction/(\\d+)/payment_methods/([a-z_]+)",
+        this.selectPaymentMethod
+      ),
+
+      // Disbursements
+      route(
+        "GET",
+        "/transaction/(\\d+)/disbursement_methods",
+        this.getDisbursements
+      ),
+      route(
+        "PATCH",
+        "/transaction/(\\d+)/disbursement_methods",
+        this.setDisbursement
+      ),
+
+      // Milestone items
+      route("PATCH", "/transaction/(\\d+)/item/(\\d+)", this.itemAction),
+      route(
+        "GET",
+        "/transaction/(\\d+)/item/(\\d+)/web_link/([a-z_]+)",
+        this.itemWebLink
+      ),
+
+      // Partner
+      route("GET", "/partner/transactions", this.partnerTransactions),
+      route("GET", "/partner/customers", this.partnerCustomers),
+      route("GET", "/partner/reports", this.listReports),
+      route("POST", "/partner/reports", this.generateReport),
+      route("GET", "/partner/reports/([^/]+)", this.getReport),
+      route("GET", "/partner/reports/([^/]+)/download", this.downloadReport),
+    ];
+  }
+
+  // ---------- customer routes ----------
+
+  getMe() {
+    return [200, this.me];
+  }
+
+  getCustomer([customerId]) {
+    const customer = this.customers.get(Number(customerId));
+    if (!customer) return [404, { error: "Customer not found" }];
+    return [200, customer];
+  }
+
+  listAPIKeys() {
+    return [200, { api_keys: this.apiKeys.map(({ secret, ...key }) => key) }];
+  }
+
+  createAPIKey(params, body) {
+    if (!body.name) {
+      return [
+        422,
+        { error: "Validation error", errors: { name: ["required"] } },
+      ];
+    }
+    const key = {
+      id: this.nextId.misc++,
+      name: body.name,
+      secret: `mock_key_${Math.random().toString(36).slice(2)}`,
+      created_at: new Date().toISOString(),
+    };
+    this.apiKeys.push(key);
+    return [201, key];
+  }
+
+  getMyDisbursements() {
+    return [200, { saved_disbursement_methods: this.me.disbursement_methods }];
+  }
+
+  listWebhooks() {
+    return [200, { webhooks: this.webhooks }];
+  }
+
+  createWebhook(params, body) {
+    if (!body.url) {
+      return [
+        422,
+        { error: "Validation error", errors: { url: ["required"] } },
+      ];
+    }
+    const webhook = { id: this.nextId.misc++, url: body.url };
+    this.webhooks.push(webhook);
+    return [201, webhook];
+  }
+
+  // ---------- transaction routes ----------
+
+  requireTransaction(transactionId) {
+    return this.transactions.get(Number(transactionId)) || null;
+  }
+
+  listTransactions(params, body, query) {
+    const page = Number(query.get("page") || 1);
+    const perPage = Number(query.get("per_page") || 10);
+    const all = this.sortedTransactions(query);
+    const start = (page - 1) * perPage;
+    return [
+      200,
+      {
+        transactions: all.slice(start, start + perPage),
+        total: all.length,
+        page,
+        per_page: perPage,
+      },
+    ];
+  }
+
+  sortedTransactions(query) {
+    const direction = query.get("sort_direction") === "asc" ? 1 : -1;
+    return [...this.transactions.values()].sort(
+      (a, b) => (a.id - b.id) * direction
+    );
+  }
+
+  createTransaction(params, body) {
+    const errors = {};
+    if (!body.currency) errors.currency = ["required"];
+    if (!Array.isArray(body.parties) || body.parties.length === 0) {
+      errors.parties = ["at least one party is required"];
+    }
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      errors.items = ["at least one item is required"];
+    }
+    if (Object.keys(errors).length > 0) {
+      return [422, { error: "Validation error", errors }];
+    }
+
+    const id = this.nextId.transaction++;
+    const transaction = {
+      id,
+      reference: body.reference || null,
+      description: body.description || "",
+      currency: body.currency,
+      creation_date: new Date().toISOString(),
+      is_cancelled: false,
+      is_draft: false,
+      parties: body.parties.map((party) => {
+        this.findOrCreateCustomer(party.customer);
+        return {
+          ...party,
+          agreed: party.customer === this.email,
+          initiator: party.customer === this.email,
+        };
+      }),
+      items: body.items.map((item) => ({
+        ...item,
+        id: this.nextId.item++,
+        schedule: (item.schedule || []).map((entry) => ({
+          ...entry,
+          status: { secured: false, disbursed_to_beneficiary: false },
+        })),
+        status: {
+          shipped: false,
+          received: false,
+          accepted: false,
+          rejected: false,
+        },
+      })),
+    };
+
+    this.chargeFees(transaction);
+    this.transactions.set(id, transaction);
+    this.addTimelineEntry(id, "Transaction created");
+    return [201, transaction];
+  }
+
+  // Fill in the amount of every escrow fee listed in escrowFees
+  chargeFees(transaction) {
+    transaction.items.forEach((item) => {
+      const charged = this.escrowFees[item.title] || {};
+      (item.fees || [])
+        .filter((fee) => !fee.type || fee.type === "escrow")
+        .forEach((fee) => {
+          const amount = charged[fee.payer_customer];
+          if (amount != null) fee.amount = amount;
+        });
+    });
+  }
+
+  getTransaction([transactionId]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    return [200, transaction];
+  }
+
+  getByReference([reference]) {
+    const decoded = decodeURIComponent(reference);
+    for (const transaction of this.transactions.values()) {
+      if (transaction.reference === decoded) return [200, transaction];
+    }
+    return [404, { error: "Transaction not found" }];
+  }
+
+  transactionAction([transactionId], body) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+
+    const result = this.applyAction(transaction, transaction.items, body);
+    if (result) return result;
+    return [200, transaction];
+  }
+
+  // Apply an action to the given items; returns an error tuple on failure
+  applyAction(transaction, items, body) {
+    if (transaction.is_cancelled) {
+      return [422, { error: "Transaction has been cancelled" }];
+    }
+
+    switch (body.action) {
+      case "agree":
+        transaction.parties.forEach((party) => {
+          if (party.customer === this.email) party.agreed = true;
+        });
+        this.addTimelineEntry(transaction.id, `${this.email} agreed`);
+        break;
+      case "ship":
+        items.forEach((item) => {
+          item.status.shipped = true;
+          if (body.shipping_information) {
+            item.shipping_information = body.shipping_information;
+          }
+        });
+        this.addTimelineEntry(transaction.id, "Item shipped");
+        break;
+      case "receive":
+        items.forEach((item) => (item.status.received = true));
+        this.addTimelineEntry(transaction.id, "Item received");
+        break;
+      case "accept":
+        items.forEach((item) => {
+          item.status.received = true;
+          item.status.accepted = true;
+          item.schedule.forEach((entry) => {
+            if (entry.status.secured) {
+              entry.status.disbursed_to_beneficiary = true;
+            }
+          });
+        });
+        this.addTimelineEntry(transaction.id, "Item accepted");
+        break;
+      case "reject":
+        items.forEach((item) => {
+          item.status.rejected = true;
+          if (body.rejection_information) {
+            item.rejection_information = body.rejection_information;
+          }
+        });
+        this.addTimelineEntry(transaction.id, "Item rejected");
+        break;
+      case "cancel":
+        transaction.is_cancelled = true;
+        this.addTimelineEntry(transaction.id, "Transaction cancelled");
+        break;
+      default:
+        return [
+          422,
+          {
+            error: "Validation error",
+            errors: { action: [`unsupported action: ${body.action}`] },
+          },
+        ];
+    }
+
+    return null;
+  }
+
+  getTimeline([transactionId]) {
+    if (!this.requireTransaction(transactionId)) {
+      return [404, { error: "Transaction not found" }];
+    }
+    return [
+      200,
+      { timeline_entries: this.timelines.get(Number(transactionId)) || [] },
+    ];
+  }
+
+  // ---------- payment routes ----------
+
+  paymentMethods([transactionId]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    return [
+      200,
+      {
+        available_payment_methods: this.offeredPaymentMethods.map((type) => ({
+          type,
+          total: this.totalAmount(transaction),
+        })),
+      },
+    ];
+  }
+
+  totalAmount(transaction) {
+    const amounts = transaction.items.flatMap((item) =>
+      item.schedule.map((entry) => entry.amount)
+    );
+    return Money.sum(amounts, transaction.currency).toString();
+  }
+
+  wireDetails([transactionId]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    return [
+      200,
+      {
+        bank_name: "Mock Bank",
+        bank_address: "1 Test Street, San Francisco, CA",
+        account_name: "Escrow.com Mock Trust Account",
+        account_number: "000123456789",
+        routing_number: "121000248",
+        swift_code: "MOCKUS6S",
+        reference: `Escrow ${transaction.id}`,
+        amount: this.totalAmount(transaction),
+      },
+    ];
+  }
+
+  paypalURL([transactionId], body, query) {
+    if (!this.requireTransaction(transactionId)) {
+      return [404, { error: "Transaction not found" }];
+    }
+    const returnUrl = query.get("return_url") || "";
+    return [
+      200,
+      {
+        landing_page: `https://paypal.mock/checkout?transaction=${transactionId}&return=${encodeURIComponent(
+          returnUrl
+        )}`,
+      },
+    ];
+  }
+
+  selectPaymentMethod([transactionId, method]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    if (!this.offeredPaymentMethods.includes(method)) {
+      return [
+        422,
+        { error: "Validation error", errors: { payment_method: ["invalid"] } },
+      ];
+    }
+    transaction.payment_method = method;
+    this.addTimelineEntry(transaction.id, `Payment method selected: ${method}`);
+    return [200, { payment_method: method, transaction_id: transaction.id }];
+  }
+
+  // ---------- disbursement routes ----------
+
+  getDisbursements([transactionId]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    return [
+      200,
+      {
+        saved_disbursement_methods: this.me.disbursement_methods,
+        selected: transaction.disbursement_method || null,
+      },
+    ];
+  }
+
+  setDisbursement([transactionId], body) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    if (
+      body.type === "saved" &&
+      !this.me.disbursement_methods.some((method) => method.id === body.id)
+    ) {
+      return [
+        422,
+        { error: "Validation error", errors: { id: ["unknown method"] } },
+      ];
+    }
+    transaction.disbursement_method = body;
+    this.addTimelineEntry(transaction.id, "Disbursement method set");
+    return [200, transaction];
+  }
+
+  // ---------- milestone routes ----------
+
+  itemAction([transactionId, itemId], body) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    const item = transaction.items.find((i) => i.id === Number(itemId));
+    if (!item) return [404, { error: "Item not found" }];
+
+    const result = this.applyAction(transaction, [item], body);
+    if (result) return result;
+    return [200, transaction];
+  }
+
+  itemWebLink([transactionId, itemId, action]) {
+    const transaction = this.requireTransaction(transactionId);
+    if (!transaction) return [404, { error: "Transaction not found" }];
+    if (!transaction.items.some((i) => i.id === Number(itemId))) {
+      return [404, { error: "Item not found" }];
+    }
+    return [
+      200,
+      {
+        web_link: `${this.url}/transaction/${transactionId}/item/${itemId}/${action}`,
+      },
+    ];
+  }
+
+  // ---------- partner routes ----------
+
+  partnerTransactions(params, body, query) {
+    const limit = Number(query.get("limit") || 10);
+    const cursor = Number(query.get("next_cursor") || 1);
+    const status = query.get("status");
+
+    let all = this.sortedTransactions(query);
+    if (status === "cancelled") all = all.filter((t) => t.is_cancelled);
+
+    const start = (cursor - 1) * limit;
+    const page = all.slice(start, start + limit);
+    return [
+      200,
+      {
+        transactions: page,
+        total: all.length,
+        next_cursor: start + limit < all.length ? cursor + 1 : null,
+      },
+    ];
+  }
+
+  partnerCustomers(params, body, query) {
+    const limit = Number(query.get("limit") || 10);
+    const cursor = Number(query.get("next_cursor") || 1);
+    const all = [...this.customers.values()];
+
+    const start = (cursor - 1) * limit;
+    return [
+      200,
+      {
+        customers: all.slice(start, start + limit),
+        total: all.length,
+        next_cursor: start + limit < all.length ? cursor + 1 : null,
+      },
+    ];
+  }
+
+  listReports() {
+    return [200, { reports: [...this.reports.values()] }];
+  }
+
+  generateReport(params, body) {
+    const taskId = `task_${this.nextId.misc++}`;
+    const report = {
+      task_id: taskId,
+      status: this.reportPolls > 0 ? "pending" : "completed",
+      parameters: body,
+      created_at: new Date().toISOString(),
+    };
+    this.reports.set(taskId, report);
+    return [201, report];
+  }
+
+  getReport([taskId]) {
+    const report = this.reports.get(decodeURIComponent(taskId));
+    if (!report) return [404, { error: "Report not found" }];
+
+    const checks = (this.reportChecks.get(report.task_id) || 0) + 1;
+    this.reportChecks.set(report.task_id, checks);
+    if (checks >= this.reportPolls) report.status = "completed";
+    return [200, report];
+  }
+
+  downloadReport([taskId], body, query) {
+    const report = this.reports.get(decodeURIComponent(taskId));
+    if (!report) return [404, { error: "Report not found" }];
+    if (report.status !== "completed") {
+      return [409, { error: "Report is not ready yet" }];
+    }
+
+    const rows = [...this.transactions.values()].map((t) => ({
+      transaction_id: t.id,
+      description: t.description,
+      currency: t.currency,
+      amount: this.totalAmount(t),
+      is_cancelled: t.is_cancelled,
+    }));
+    if (query.get("as_json") === "true") {
+      return [200, { task_id: report.task_id, rows }];
+    }
+
+    const columns = [
+      "transaction_id",
+      "description",
+      "currency",
+      "amount",
+      "is_cancelled",
+    ];
+    const csv = [columns.join(",")]
+      .concat(
+        rows.map((row) =>
+          columns
+            .map((c) => `"${String(row[c]).replace(/"/g, '""')}"`)
+            .join(",")
+        )
+      )
+      .join("\n");
+    return [200, csv, "text/csv"];
+  }
+}
+
+module.exports = { EscrowMockServer };
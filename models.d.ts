@@ -0,0 +1,255 @@
+// Escrow.com API - Model declarations
+// Types for models.js. Payload interfaces follow the schemas in schemas.js;
+// fields the API adds later are still present on a model at runtime.
+
+export type Amount = string | number;
+export type Currency = "usd" | "eur" | "aud" | "gbp" | "cad";
+export type PartyRole = "buyer" | "seller" | "broker" | "partner";
+export type TransactionState =
+  | "cancelled"
+  | "draft"
+  | "pending_agreement"
+  | "pending_payment"
+  | "pending_shipment"
+  | "pending_acceptance"
+  | "rejected"
+  | "completed";
+export type ItemState =
+  | "cancelled"
+  | "pending_payment"
+  | "pending_shipment"
+  | "shipped"
+  | "received"
+  | "accepted"
+  | "rejected";
+export type ScheduleState = "pending_payment" | "secured" | "disbursed";
+export type Action =
+  | "agree"
+  | "cancel"
+  | "ship"
+  | "receive"
+  | "accept"
+  | "reject";
+
+// The Money instances (money.js) the amount helpers return
+export interface Money {
+  readonly minor: number;
+  readonly currency: Currency;
+  add(other: Money): Money;
+  subtract(other: Money): Money;
+  multiply(factor: number | string, rounding?: string): Money;
+  allocate(ratios: number[]): Money[];
+  isZero(): boolean;
+  isNegative(): boolean;
+  isPositive(): boolean;
+  compare(other: Money): number;
+  equals(other: Money): boolean;
+  toString(): string;
+  toJSON(): string;
+  toNumber(): number;
+  format(locale?: string): string;
+}
+
+// ================================
+// 1. PAYLOADS
+// ================================
+
+export interface CustomerData {
+  id: number;
+  email: string;
+  first_name?: string;
+  middle_name?: string;
+  last_name?: string;
+  display_name?: string;
+  company?: string;
+  phone_number?: string;
+  address?: Record<string, unknown>;
+  disbursement_methods?: Record<string, unknown>[];
+}
+
+export interface PartyData {
+  customer: string;
+  role: PartyRole;
+  agreed?: boolean;
+  initiator?: boolean;
+  visibility?: Record<string, unknown>;
+  lock_email?: boolean;
+}
+
+export interface ScheduleData {
+  amount: Amount;
+  payer_customer: string;
+  beneficiary_customer: string;
+  status?: { secured?: boolean; disbursed_to_beneficiary?: boolean };
+}
+
+export interface FeeData {
+  type?: string;
+  payer_customer?: string;
+  split?: Amount;
+  amount?: Amount;
+}
+
+export interface ItemData {
+  id: number;
+  title: string;
+  description?: string;
+  type?: string;
+  category?: string;
+  inspection_period?: number;
+  quantity?: number;
+  schedule: ScheduleData[];
+  fees?: FeeData[];
+  status?: {
+    shipped?: boolean;
+    received?: boolean;
+    accepted?: boolean;
+    rejected?: boolean;
+  };
+  shipping_information?: Record<string, unknown>;
+  rejection_information?: Record<string, unknown>;
+  extra_attributes?: Record<string, unknown>;
+}
+
+export interface TransactionData {
+  id: number;
+  currency: Currency;
+  parties: PartyData[];
+  items: ItemData[];
+  reference?: string | null;
+  description?: string;
+  creation_date?: string;
+  is_cancelled?: boolean;
+  is_draft?: boolean;
+  payment_method?: string;
+  disbursement_method?: Record<string, unknown>;
+}
+
+export interface TimelineEntryData {
+  id?: number;
+  date: string;
+  message: string;
+}
+
+export interface PaymentMethodData {
+  type: "wire_transfer" | "paypal" | "credit_card";
+  total?: Amount;
+}
+
+export interface ReportData {
+  task_id: string;
+  status: "pending" | "completed" | "failed";
+  parameters?: Record<string, unknown>;
+  created_at?: string;
+}
+
+// ================================
+// 2. MODELS
+// ================================
+
+export class Model {
+  constructor(data?: object);
+  static from<T extends Model>(
+    this: new (data: any, context?: any) => T,
+    data: object | T,
+    context?: Transaction
+  ): T;
+  toJSON(): Record<string, unknown>;
+}
+
+export interface Customer extends CustomerData {}
+export class Customer extends Model {
+  constructor(data: CustomerData);
+  readonly fullName: string;
+}
+
+export interface Party extends PartyData {}
+export class Party extends Model {
+  constructor(data: PartyData, transaction?: Transaction);
+  readonly transaction: Transaction | null;
+  readonly email: string;
+  readonly hasAgreed: boolean;
+  readonly allowedActions: Action[];
+}
+
+export interface Schedule extends ScheduleData {}
+export class Schedule extends Model {
+  constructor(data: ScheduleData, transaction?: Transaction);
+  readonly transaction: Transaction | null;
+  readonly money: Money;
+  readonly state: ScheduleState;
+  readonly isSecured: boolean;
+  readonly isDisbursed: boolean;
+}
+
+export interface Item extends Omit<ItemData, "schedule"> {}
+export class Item extends Model {
+  constructor(data: ItemData, transaction?: Transaction);
+  readonly transaction: Transaction | null;
+  schedule: Schedule[];
+  readonly state: ItemState;
+  readonly isShipped: boolean;
+  readonly isReceived: boolean;
+  readonly isAccepted: boolean;
+  readonly isRejected: boolean;
+  readonly isFunded: boolean;
+  totalAmount(): Money;
+}
+
+export interface Transaction
+  extends Omit<TransactionData, "parties" | "items"> {}
+export class Transaction extends Model {
+  constructor(data: TransactionData);
+  parties: Party[];
+  items: Item[];
+  readonly buyer: Party | null;
+  readonly seller: Party | null;
+  readonly broker: Party | null;
+  readonly state: TransactionState;
+  readonly isCancelled: boolean;
+  readonly isFunded: boolean;
+  partyWithRole(role: PartyRole): Party | null;
+  partyFor(email: string): Party | null;
+  findItem(idOrTitle: number | string): Item | null;
+  totalAmount(): Money;
+}
+
+export interface TimelineEntry extends TimelineEntryData {}
+export class TimelineEntry extends Model {
+  constructor(data: TimelineEntryData);
+  readonly timestamp: Date | null;
+}
+
+export interface PaymentMethod extends PaymentMethodData {}
+export class PaymentMethod extends Model {
+  constructor(data: PaymentMethodData);
+  totalAmount(currency?: Currency): Money;
+}
+
+export interface Report extends ReportData {}
+export class Report extends Model {
+  constructor(data: ReportData);
+  readonly isPending: boolean;
+  readonly isCompleted: boolean;
+  readonly isFailed: boolean;
+}
+
+// ================================
+// 3. RESPONSES
+// ================================
+
+export const MODELS: {
+  Customer: typeof Customer;
+  Party: typeof Party;
+  Schedule: typeof Schedule;
+  Item: typeof Item;
+  Transaction: typeof Transaction;
+  TimelineEntry: typeof TimelineEntry;
+  PaymentMethod: typeof PaymentMethod;
+  Report: typeof Report;
+};
+
+export function toModels(
+  response: { schema: keyof typeof MODELS; key: string | null },
+  body: unknown
+): unknown;
@@ -0,0 +1,317 @@
+// Escrow.com API - Models
+// Classes around the payloads described in schemas.js, with helpers for the
+// questions callers keep asking of raw JSON: who is the buyer, what does the
+// transaction add up to, has this item shipped. A model carries every field
+// of its payload unchanged and serializes back to it with JSON.stringify.
+// Types are declared in models.d.ts.
+//
+//   const transaction = Transaction.from(await escrow.transactions.getTransaction(id));
+//   transaction.buyer.email;              // "buyer@example.com"
+//   transaction.totalAmount().toString(); // "1250.00"
+//   transaction.items[0].isShipped;       // false
+//
+// EscrowClient returns models directly with options.models.
+
+const { Money } = require("./money");
+const { TransactionStateMachine } = require("./transactionStateMachine");
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// ================================
+// 1. BASE MODEL
+// ================================
+
+class Model {
+  // Payload fields become own properties; they take precedence over a
+  // helper of the same name should the API ever add one
+  constructor(data = {}) {
+    for (const [key, value] of Object.entries(data || {})) {
+      Object.defineProperty(this, key, {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+  }
+
+  // Model for a payload; instances, null and anything but an object are
+  // returned as is. `context` is the transaction a Party, Item or Schedule
+  // belongs to
+  static from(data, context) {
+    if (!data || typeof data !== "object" || data instanceof this) return data;
+    return new this(data, context);
+  }
+
+  // Plain payload, nested models included
+  toJSON() {
+    return JSON.parse(JSON.stringify({ ...this }));
+  }
+}
+
+// Back-reference to the owning transaction, kept out of the payload
+function belongTo(model, transaction) {
+  Object.defineProperty(model, "transaction", {
+    value: transaction || null,
+    enumerable: false,
+    writable: true,
+  });
+}
+
+const currencyOf = (transaction) =>
+  (transaction && transaction.currency) || "usd";
+
+// ================================
+// 2. CUSTOMERS & PARTIES
+// ================================
+
+class Customer extends Model {
+  // "First Last", else the display name or the email address
+  get fullName() {
+    const name = [this.first_name, this.last_name].filter(Boolean).join(" ");
+    return name || this.display_name || this.email || "";
+  }
+}
+
+class Party extends Model {
+  constructor(data, transaction) {
+    super(data);
+    belongTo(this, transaction);
+  }
+
+  get email() {
+    return this.customer;
+  }
+
+  get hasAgreed() {
+    return Boolean(this.agreed);
+  }
+
+  // Actions this party may take next; see TransactionStateMachine
+  get allowedActions() {
+    return TransactionStateMachine.allowedActions(
+      this.transaction || {},
+      this.role,
+      null,
+      this.customer
+    );
+  }
+}
+
+// ================================
+// 3. ITEMS & SCHEDULES
+// ================================
+
+class Schedule extends Model {
+  constructor(data, transaction) {
+    super(data);
+    belongTo(this, transaction);
+  }
+
+  // The amount as Money in the transaction's currency
+  get money() {
+    return Money.of(this.amount, currencyOf(this.transaction));
+  }
+
+  get state() {
+    return TransactionStateMachine.scheduleState(this);
+  }
+
+  get isSecured() {
+    return this.state !== "pending_payment";
+  }
+
+  get isDisbursed() {
+    return this.state === "disbursed";
+  }
+}
+
+class Item extends Model {
+  constructor(data, transaction) {
+    super(data);
+    belongTo(this, transaction);
+    if (Array.isArray(this.schedule)) {
+      this.schedule = this.schedule.map((entry) =>
+        Schedule.from(entry, transaction)
+      );
+    }
+  }
+
+  get state() {
+    return TransactionStateMachine.itemState(this, this.transaction || {});
+  }
+
+  get isShipped() {
+    return Boolean(this.status && this.status.shipped);
+  }
+
+  get isReceived() {
+    return Boolean(this.status && this.status.received);
+  }
+
+  get isAccepted() {
+    return Boolean(this.status && this.status.accepted);
+  }
+
+  get isRejected() {
+    return Boolean(this.status && this.status.rejected);
+  }
+
+  // Every schedule entry has been paid into escrow
+  get isFunded() {
+    const schedule = asArray(this.schedule);
+    return schedule.length > 0 && schedule.every((entry) => entry.isSecured);
+  }
+
+  // Sum of the item's schedule, as Money
+  totalAmount() {
+    return Money.sum(
+      asArray(this.schedule).map((entry) => entry.amount),
+      currencyOf(this.transaction)
+    );
+  }
+}
+
+// ================================
+// 4. TRANSACTIONS
+// ================================
+
+class Transaction extends Model {
+  constructor(data) {
+    super(data);
+    if (Array.isArray(this.parties)) {
+      this.parties = this.parties.map((party) => Party.from(party, this));
+    }
+    if (Array.isArray(this.items)) {
+      this.items = this.items.map((item) => Item.from(item, this));
+    }
+  }
+
+  get buyer() {
+    return this.partyWithRole("buyer");
+  }
+
+  get seller() {
+    return this.partyWithRole("seller");
+  }
+
+  get broker() {
+    return this.partyWithRole("broker");
+  }
+
+  partyWithRole(role) {
+    return asArray(this.parties).find((party) => party.role === role) || null;
+  }
+
+  // The party with a customer email, or null
+  partyFor(email) {
+    return (
+      asArray(this.parties).find((party) => party.customer === email) || null
+    );
+  }
+
+  // An item by id, or by title
+  findItem(idOrTitle) {
+    return (
+      asArray(this.items).find(
+        (item) => item.id === idOrTitle || item.title === idOrTitle
+      ) || null
+    );
+  }
+
+  // Lifecycle state; see TransactionStateMachine
+  get state() {
+    return TransactionStateMachine.transactionState(this);
+  }
+
+  get isCancelled() {
+    return Boolean(this.is_cancelled);
+  }
+
+  get isFunded() {
+    const items = asArray(this.items);
+    return items.length > 0 && items.every((item) => item.isFunded);
+  }
+
+  // Sum of every item's schedule, as Money in the transaction's currency
+  totalAmount() {
+    return Money.sum(
+      asArray(this.items).map((item) => item.totalAmount()),
+      currencyOf(this)
+    );
+  }
+}
+
+// ================================
+// 5. TIMELINE, PAYMENT METHODS & REPORTS
+// ================================
+
+class TimelineEntry extends Model {
+  get timestamp() {
+    return this.date ? new Date(this.date) : null;
+  }
+}
+
+class PaymentMethod extends Model {
+  // The amount due with this method, as Money in `currency` (the
+  // payload itself does not name one)
+  totalAmount(currency) {
+    return Money.of(this.total == null ? 0 : this.total, currency);
+  }
+}
+
+class Report extends Model {
+  get isPending() {
+    return this.status === "pending";
+  }
+
+  get isCompleted() {
+    return this.status === "completed";
+  }
+
+  get isFailed() {
+    return this.status === "failed";
+  }
+}
+
+// ================================
+// 6. RESPONSES
+// ================================
+
+// Model class for each schema in schemas.js
+const MODELS = {
+  Customer,
+  Party,
+  Schedule,
+  Item,
+  Transaction,
+  TimelineEntry,
+  PaymentMethod,
+  Report,
+};
+
+// Wrap a response body described by a schemas.js RESPONSES entry: the
+// payload itself, or each entry of its list
+function toModels(response, body) {
+  const ModelClass = MODELS[response.schema];
+  if (!response.key) return ModelClass.from(body);
+  if (!body || !Array.isArray(body[response.key])) return body;
+  return {
+    ...body,
+    [response.key]: body[response.key].map((entry) => ModelClass.from(entry)),
+  };
+}
+
+module.exports = {
+  Model,
+  Customer,
+  Party,
+  Schedule,
+  Item,
+  Transaction,
+  TimelineEntry,
+  PaymentMethod,
+  Report,
+  MODELS,
+  toModels,
+};
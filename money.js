@@ -0,0 +1,321 @@
+// Escrow.com API - Money
+// Exact amounts in the currencies Escrow supports, held as integer minor
+// units (cents) so sums, fee multiplications and splits never pick up
+// floating point error. Amounts serialize as decimal strings ("1250.00"),
+// the format the API expects in every request body.
+
+// ================================
+// 1. CURRENCIES
+// ================================
+
+const CURRENCIES = {
+  usd: { code: "USD", minorUnits: 2 },
+  eur: { code: "EUR", minorUnits: 2 },
+  aud: { code: "AUD", minorUnits: 2 },
+  gbp: { code: "GBP", minorUnits: 2 },
+  cad: { code: "CAD", minorUnits: 2 },
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+const ROUNDING_MODES = ["half_up", "half_even", "floor", "ceil"];
+
+function currencyInfo(currency) {
+  const key = String(currency).toLowerCase();
+  const info = CURRENCIES[key];
+  if (!info) {
+    throw new RangeError(
+      `Unsupported currency "${currency}" (supported: ${SUPPORTED_CURRENCIES.join(
+        ", "
+      )})`
+    );
+  }
+  return { key, ...info };
+}
+
+// ================================
+// 2. DECIMAL HELPERS
+// ================================
+
+const DECIMAL = /^([+-])?(\d+)(?:\.(\d+))?$/;
+
+// Split a decimal string or number into an exact BigInt fraction
+// { numerator, scale } meaning numerator / 10^scale
+function parseDecimal(value) {
+  const text = typeof value === "number" ? numberToDecimal(value) : value;
+  const match = DECIMAL.exec(String(text).trim());
+  if (!match) throw new TypeError(`Invalid amount: ${JSON.stringify(value)}`);
+
+  const [, sign, whole, fraction = ""] = match;
+  const numerator = BigInt(`${whole}${fraction}`);
+  return {
+    numerator: sign === "-" ? -numerator : numerator,
+    scale: fraction.length,
+  };
+}
+
+// Shortest exact decimal form of a finite number, without exponents
+function numberToDecimal(value) {
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`Invalid amount: ${value}`);
+  }
+  const text = String(value);
+  if (!/e/i.test(text)) return text;
+  return value.toFixed(20).replace(/\.?0+$/, "");
+}
+
+// numerator / denominator rounded to an integer
+function divideRounded(numerator, denominator, rounding) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  let quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const negative = numerator < 0n;
+  // BigInt division truncates toward zero; move to the floor first
+  if (negative) quotient -= 1n;
+  const rest = negative ? remainder + denominator : remainder;
+  const twice = rest * 2n;
+
+  switch (rounding) {
+    case "floor":
+      return quotient;
+    case "ceil":
+      return quotient + 1n;
+    case "half_even":
+      if (twice === denominator) {
+        return quotient % 2n === 0n ? quotient : quotient + 1n;
+      }
+      return twice > denominator ? quotient + 1n : quotient;
+    case "half_up":
+      // Half away from zero
+      if (twice === denominator) return negative ? quotient : quotient + 1n;
+      return twice > denominator ? quotient + 1n : quotient;
+    default:
+      throw new RangeError(
+        `Unknown rounding mode "${rounding}" (use ${ROUNDING_MODES.join(", ")})`
+      );
+  }
+}
+
+// ================================
+// 3. MONEY
+// ================================
+
+class Money {
+  // Prefer Money.of / Money.fromMinor; `minor` is an integer count of
+  // minor units (cents)
+  constructor(minor, currency = "usd") {
+    const { key } = currencyInfo(currency);
+    if (!Number.isSafeInteger(minor)) {
+      throw new RangeError(`Amount out of range: ${minor} minor units`);
+    }
+    this.minor = minor;
+    this.currency = key;
+    Object.freeze(this);
+  }
+
+  // Money from a decimal string ("12.34"), a number or another Money (kept
+  // as is; `currency` must match if given). Strings must not carry more
+  // decimals than the currency allows; numbers are rounded half up to the
+  // nearest minor unit.
+  static of(amount, currency) {
+    if (amount instanceof Money) {
+      if (currency != null && currencyInfo(currency).key !== amount.currency) {
+        throw new TypeError(
+          `Currency mismatch: ${amount.currency} and ${currency}`
+        );
+      }
+      return amount;
+    }
+    currency = currency || "usd";
+
+    const { minorUnits } = currencyInfo(currency);
+    const { numerator, scale } = parseDecimal(amount);
+    if (scale > minorUnits && typeof amount !== "number") {
+      const extra = 10n ** BigInt(scale - minorUnits);
+      if (numerator % extra !== 0n) {
+        throw new RangeError(
+          `${amount} has more than ${minorUnits} decimal places for ${currency}`
+        );
+      }
+    }
+
+    const minor =
+      scale <= minorUnits
+        ? numerator * 10n ** BigInt(minorUnits - scale)
+        : divideRounded(
+            numerator,
+            10n ** BigInt(scale - minorUnits),
+            "half_up"
+          );
+    return new Money(toSafeNumber(minor), currency);
+  }
+
+  static fromMinor(minor, currency = "usd") {
+    return new Money(minor, currency);
+  }
+
+  static zero(currency = "usd") {
+    return new Money(0, currency);
+  }
+
+  // Sum of amounts in one currency (default: that of the first Money in the
+  // list, else usd); an empty list sums to zero
+  static sum(amounts, currency) {
+    const first = amounts.find((amount) => amount instanceof Money);
+    return amounts.reduce(
+      (total, amount) => total.add(Money.of(amount, total.currency)),
+      Money.zero(currency || (first && first.currency) || "usd")
+    );
+  }
+
+  add(other) {
+    assertSameCurrency(this, other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  subtract(other) {
+    assertSameCurrency(this, other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  // Multiply by a decimal factor (e.g. a fee rate "0.0325"), rounding to
+  // the nearest minor unit; rounding is half_up, half_even, floor or ceil
+  multiply(factor, rounding = "half_up") {
+    const { numerator, scale } = parseDecimal(factor);
+    const minor = divideRounded(
+      BigInt(this.minor) * numerator,
+      10n ** BigInt(scale),
+      rounding
+    );
+    return new Money(toSafeNumber(minor), this.currency);
+  }
+
+  // Split into parts proportional to `ratios` (e.g. fee splits [0.5, 0.5] or
+  // weights [1, 2]). The parts always add up to this amount exactly; leftover
+  // minor units go to the parts with the largest remainders, earliest first.
+  allocate(ratios) {
+    if (!Array.isArray(ratios) || ratios.length === 0) {
+      throw new TypeError("allocate() needs at least one ratio");
+    }
+
+    const parsed = ratios.map((ratio) => parseDecimal(ratio));
+    const scale = Math.max(...parsed.map((p) => p.scale));
+    const weights = parsed.map(
+      (p) => p.numerator * 10n ** BigInt(scale - p.scale)
+    );
+    if (weights.some((weight) => weight < 0n)) {
+      throw new RangeError("Ratios must not be negative");
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (total === 0n) throw new RangeError("Ratios must not all be zero");
+
+    const sign = this.minor < 0 ? -1n : 1n;
+    const amount = BigInt(Math.abs(this.minor));
+    const shares = weights.map((weight) => (amount * weight) / total);
+    const remainders = weights.map((weight) => (amount * weight) % total);
+
+    let leftover = amount - shares.reduce((sum, share) => sum + share, 0n);
+    const order = remainders
+      .map((remainder, index) => ({ remainder, index }))
+      .sort((a, b) =>
+        a.remainder === b.remainder
+          ? a.index - b.index
+          : a.remainder > b.remainder
+          ? -1
+          : 1
+      );
+    for (const { index } of order) {
+      if (leftover === 0n) break;
+      shares[index] += 1n;
+      leftover -= 1n;
+    }
+
+    return shares.map(
+      (share) => new Money(toSafeNumber(share * sign), this.currency)
+    );
+  }
+
+  negate() {
+    return new Money(-this.minor || 0, this.currency);
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  // -1, 0 or 1, for sorting
+  compare(other) {
+    assertSameCurrency(this, other);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  equals(other) {
+    return (
+      other instanceof Money &&
+      other.currency === this.currency &&
+      other.minor === this.minor
+    );
+  }
+
+  // Decimal string as sent to the API, e.g. "1250.00"
+  toString() {
+    const { minorUnits } = currencyInfo(this.currency);
+    const digits = String(Math.abs(this.minor)).padStart(minorUnits + 1, "0");
+    const whole = digits.slice(0, digits.length - minorUnits);
+    const fraction = digits.slice(digits.length - minorUnits);
+    const sign = this.minor < 0 ? "-" : "";
+    return minorUnits > 0 ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  // Approximate value for display or charts; never compute with it
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  // Localized display string, e.g. "$1,250.00"
+  format(locale = "en-US") {
+    const { code } = currencyInfo(this.currency);
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: code,
+    }).format(this.toNumber());
+  }
+}
+
+function assertSameCurrency(a, b) {
+  if (!(b instanceof Money)) {
+    throw new TypeError(
+      `Expected Money in ${a.currency}, got ${JSON.stringify(b)}`
+    );
+  }
+  if (a.currency !== b.currency) {
+    throw new TypeError(`Currency mismatch: ${a.currency} and ${b.currency}`);
+  }
+}
+
+function toSafeNumber(minor) {
+  const value = Number(minor);
+  if (!Number.isSafeInteger(value)) {
+    throw new RangeError(`Amount out of range: ${minor} minor units`);
+  }
+  return value;
+}
+
+module.exports = { Money, CURRENCIES, SUPPORTED_CURRENCIES, ROUNDING_MODES };
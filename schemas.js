@@ -0,0 +1,347 @@
+// Escrow.com API - Response Schemas
+// JSON Schema (draft-07) definitions of the payloads the API returns, a small
+// validator for them and the table of which endpoint returns which payload.
+// EscrowClient checks responses against them in strict mode; jsonSchema()
+// exports a standalone document for other validators (ajv, ...) or docs.
+//
+//   const issues = validate(transaction, "Transaction");
+//   // [{ path: "items[0].schedule[0].amount", kind: "type", message: ... }]
+
+const { SUPPORTED_CURRENCIES } = require("./money");
+
+// ================================
+// 1. DEFINITIONS
+// ================================
+
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+
+// Amounts come back as decimal strings ("1250.00") or as numbers
+const AMOUNT = { type: ["string", "number"], pattern: "^-?\\d+(\\.\\d+)?$" };
+const DATE_TIME = { type: "string", format: "date-time" };
+const EMAIL = { type: "string", format: "email" };
+
+const SCHEMAS = {
+  Customer: {
+    type: "object",
+    required: ["id", "email"],
+    properties: {
+      id: { type: "integer" },
+      email: EMAIL,
+      first_name: { type: "string" },
+      middle_name: { type: "string" },
+      last_name: { type: "string" },
+      display_name: { type: "string" },
+      company: { type: "string" },
+      phone_number: { type: "string" },
+      address: { type: "object" },
+      disbursement_methods: { type: "array", items: { type: "object" } },
+    },
+  },
+
+  Party: {
+    type: "object",
+    required: ["customer", "role"],
+    properties: {
+      customer: EMAIL,
+      role: { type: "string", enum: ["buyer", "seller", "broker", "partner"] },
+      agreed: { type: "boolean" },
+      initiator: { type: "boolean" },
+      visibility: { type: "object" },
+      lock_email: { type: "boolean" },
+    },
+  },
+
+  Schedule: {
+    type: "object",
+    required: ["amount", "payer_customer", "beneficiary_customer"],
+    properties: {
+      amount: AMOUNT,
+      payer_customer: EMAIL,
+      beneficiary_customer: EMAIL,
+      status: {
+        type: "object",
+        properties: {
+          secured: { type: "boolean" },
+          disbursed_to_beneficiary: { type: "boolean" },
+        },
+      },
+    },
+  },
+
+  Item: {
+    type: "object",
+    required: ["id", "title", "schedule"],
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      description: { type: "string" },
+      type: { type: "string" },
+      category: { type: "string" },
+      inspection_period: { type: "integer" },
+      quantity: { type: "integer" },
+      schedule: { type: "array", items: ref("Schedule") },
+      fees: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string" },
+            payer_customer: EMAIL,
+            split: AMOUNT,
+            amount: AMOUNT,
+          },
+        },
+      },
+      status: {
+        type: "object",
+        properties: {
+          shipped: { type: "boolean" },
+          received: { type: "boolean" },
+          accepted: { type: "boolean" },
+          rejected: { type: "boolean" },
+        },
+      },
+      shipping_information: { type: "object" },
+      rejection_information: { type: "object" },
+      extra_attributes: { type: "object" },
+    },
+  },
+
+  Transaction: {
+    type: "object",
+    required: ["id", "currency", "parties", "items"],
+    properties: {
+      id: { type: "integer" },
+      reference: { type: ["string", "null"] },
+      description: { type: "string" },
+      currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+      creation_date: DATE_TIME,
+      is_cancelled: { type: "boolean" },
+      is_draft: { type: "boolean" },
+      parties: { type: "array", items: ref("Party") },
+      items: { type: "array", items: ref("Item") },
+      payment_method: { type: "string" },
+      disbursement_method: { type: "object" },
+    },
+  },
+
+  TimelineEntry: {
+    type: "object",
+    required: ["date", "message"],
+    properties: {
+      id: { type: "integer" },
+      date: DATE_TIME,
+      message: { type: "string" },
+    },
+  },
+
+  PaymentMethod: {
+    type: "object",
+    required: ["type"],
+    properties: {
+      type: {
+        type: "string",
+        enum: ["wire_transfer", "paypal", "credit_card"],
+      },
+      total: AMOUNT,
+    },
+  },
+
+  Report: {
+    type: "object",
+    required: ["task_id", "status"],
+    properties: {
+      task_id: { type: "string" },
+      status: { type: "string", enum: ["pending", "completed", "failed"] },
+      parameters: { type: "object" },
+      created_at: DATE_TIME,
+    },
+  },
+};
+
+// Standalone JSON Schema document for one payload, with every definition
+// it may refer to
+function jsonSchema(name) {
+  if (!SCHEMAS[name]) throw new Error(`Unknown schema: ${name}`);
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: name,
+    ...ref(name),
+    definitions: SCHEMAS,
+  };
+}
+
+// ================================
+// 2. VALIDATION
+// ================================
+
+const FORMATS = {
+  "date-time": (value) => !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Issues between `value` and a schema (or the name of one in SCHEMAS), as
+// [{ path, kind, message }]. kind is "missing", "type", "enum", "format" or
+// "unexpected" (a field the schema does not list: new in the API, or a typo)
+function validate(value, schema, path = "") {
+  if (typeof schema === "string") schema = ref(schema);
+  if (schema.$ref) {
+    return validate(value, SCHEMAS[schema.$ref.split("/").pop()], path);
+  }
+
+  const issues = [];
+  const issue = (kind, message) =>
+    issues.push({ path: path || "(root)", kind, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      issue("type", `expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return issues;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issue(
+      "enum",
+      `${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`
+    );
+  }
+  if (typeof value === "string") {
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      issue(
+        "format",
+        `${JSON.stringify(value)} is not a valid ${schema.format}`
+      );
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issue(
+        "format",
+        `${JSON.stringify(value)} does not match ${schema.pattern}`
+      );
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, i) =>
+      issues.push(...validate(entry, schema.items, joinPath(path, i)))
+    );
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        issues.push({
+          path: joinPath(path, key),
+          kind: "missing",
+          message: "required field is missing",
+        });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (properties[key]) {
+        issues.push(...validate(entry, properties[key], joinPath(path, key)));
+      } else if (schema.properties) {
+        issues.push({
+          path: joinPath(path, key),
+          kind: "unexpected",
+          message: "field is not in the schema",
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+// ================================
+// 3. RESPONSES
+// ================================
+
+// Payload returned by each endpoint; `key` names the array holding the
+// payloads in a list response ({ transactions: [...], total, ... })
+const RESPONSES = [
+  ["GET", /^\/customer\/(me|\d+)$/, "Customer"],
+  ["GET", /^\/transaction$/, "Transaction", "transactions"],
+  ["POST", /^\/transaction$/, "Transaction"],
+  ["GET", /^\/transaction\/(\d+|reference\/[^/]+)$/, "Transaction"],
+  ["PATCH", /^\/transaction\/\d+(\/item\/\d+)?$/, "Transaction"],
+  [
+    "GET",
+    /^\/transaction\/\d+\/timeline-entries$/,
+    "TimelineEntry",
+    "timeline_entries",
+  ],
+  [
+    "GET",
+    /^\/transaction\/\d+\/payment_methods$/,
+    "PaymentMethod",
+    "available_payment_methods",
+  ],
+  ["GET", /^\/partner\/transactions$/, "Transaction", "transactions"],
+  ["GET", /^\/partner\/customers$/, "Customer", "customers"],
+  ["GET", /^\/partner\/reports$/, "Report", "reports"],
+  ["POST", /^\/partner\/reports$/, "Report"],
+  ["GET", /^\/partner\/reports\/[^/]+$/, "Report"],
+].map(([method, pattern, schema, key]) => ({
+  method,
+  pattern,
+  schema,
+  key: key || null,
+}));
+
+// The RESPONSES entry for a request, or null when its payload has no schema
+function responseSchema(method, endpoint) {
+  const path = endpoint.split("?")[0];
+  return (
+    RESPONSES.find(
+      (response) => response.method === method && response.pattern.test(path)
+    ) || null
+  );
+}
+
+// Validate a response body against its RESPONSES entry
+function validateResponse(response, body) {
+  if (!response.key) return validate(body, response.schema);
+
+  const entries = body && body[response.key];
+  if (!Array.isArray(entries)) {
+    return [
+      {
+        path: response.key,
+        kind: entries === undefined ? "missing" : "type",
+        message: `expected an array of ${response.schema}`,
+      },
+    ];
+  }
+  return entries.flatMap((entry, i) =>
+    validate(entry, response.schema, `${response.key}[${i}]`)
+  );
+}
+
+module.exports = {
+  SCHEMAS,
+  RESPONSES,
+  jsonSchema,
+  validate,
+  responseSchema,
+  validateResponse,
+};
@@ -0,0 +1,210 @@
+// Escrow.com API - Sync Stores
+// Local mirror of transactions and their timeline entries, written by
+// TransactionSync (see transactionSync.js) along with its resume checkpoint.
+//
+// A store is any object with async getTransaction(id), saveTransaction(tx),
+// listTransactions(), getTimeline(id), saveTimeline(id, entries), getState()
+// and saveState(state).
+
+const fs = require("fs");
+const path = require("path");
+
+// ================================
+// 1. IN-MEMORY STORE
+// ================================
+
+class MemorySyncStore {
+  constructor() {
+    this.transactions = new Map();
+    this.timelines = new Map();
+    this.state = {};
+  }
+
+  async getTransaction(id) {
+    return this.transactions.get(String(id)) || null;
+  }
+
+  async saveTransaction(transaction) {
+    this.transactions.set(String(transaction.id), transaction);
+  }
+
+  async listTransactions() {
+    return [...this.transactions.values()];
+  }
+
+  async getTimeline(id) {
+    return this.timelines.get(String(id)) || null;
+  }
+
+  async saveTimeline(id, entries) {
+    this.timelines.set(String(id), entries);
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  async saveState(state) {
+    this.state = state;
+  }
+}
+
+// ================================
+// 2. JSON FILE STORE
+// ================================
+
+// Keeps the whole mirror in one JSON file, rewritten atomically on every
+// save so a crash never leaves it half written
+class JsonFileSyncStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf8");
+      this.data = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.data = { transactions: {}, timelines: {}, state: {} };
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async getTransaction(id) {
+    const data = await this.load();
+    return data.transactions[id] || null;
+  }
+
+  async saveTransaction(transaction) {
+    const data = await this.load();
+    data.transactions[transaction.id] = transaction;
+    await this.save();
+  }
+
+  async listTransactions() {
+    const data = await this.load();
+    return Object.values(data.transactions);
+  }
+
+  async getTimeline(id) {
+    const data = await this.load();
+    return data.timelines[id] || null;
+  }
+
+  async saveTimeline(id, entries) {
+    const data = await this.load();
+    data.timelines[id] = entries;
+    await this.save();
+  }
+
+  async getState() {
+    const data = await this.load();
+    return data.state;
+  }
+
+  async saveState(state) {
+    const data = await this.load();
+    data.state = state;
+    await this.save();
+  }
+}
+
+// ================================
+// 3. SQLITE STORE
+// ================================
+
+// Works with any synchronous SQLite handle exposing exec(sql) and
+// prepare(sql).get/all/run(...params): better-sqlite3, or node:sqlite's
+// DatabaseSync on Node 22.5+. Each record is one JSON column; tables are
+// created on first use, named with options.tablePrefix ("escrow_sync_").
+class SqliteSyncStore {
+  constructor(db, options = {}) {
+    const prefix = options.tablePrefix || "escrow_sync_";
+    this.db = db;
+    this.tables = {
+      transactions: `${prefix}transactions`,
+      timelines: `${prefix}timelines`,
+      state: `${prefix}state`,
+    };
+    this.ready = false;
+  }
+
+  init() {
+    if (this.ready) return;
+    for (const table of Object.values(this.tables)) {
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`
+      );
+    }
+    this.ready = true;
+  }
+
+  read(table, id) {
+    this.init();
+    const row = this.db
+      .prepare(`SELECT data FROM ${table} WHERE id = ?`)
+      .get(String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  write(table, id, value) {
+    this.init();
+    this.db
+      .prepare(
+        `INSERT INTO ${table} (id, data, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           data = excluded.data,
+           updated_at = excluded.updated_at`
+      )
+      .run(String(id), JSON.stringify(value), Date.now());
+  }
+
+  async getTransaction(id) {
+    return this.read(this.tables.transactions, id);
+  }
+
+  async saveTransaction(transaction) {
+    this.write(this.tables.transactions, transaction.id, transaction);
+  }
+
+  async listTransactions() {
+    this.init();
+    return this.db
+      .prepare(`SELECT data FROM ${this.tables.transactions} ORDER BY id`)
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async getTimeline(id) {
+    return this.read(this.tables.timelines, id);
+  }
+
+  async saveTimeline(id, entries) {
+    this.write(this.tables.timelines, id, entries);
+  }
+
+  async getState() {
+    return this.read(this.tables.state, "sync") || {};
+  }
+
+  async saveState(state) {
+    this.write(this.tables.state, "sync", state);
+  }
+}
+
+module.exports = { MemorySyncStore, JsonFileSyncStore, SqliteSyncStore };
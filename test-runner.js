@@ -1,30 +1,197 @@
 #!/usr/bin/env node
 
 // Escrow.com API Test Runner
-// This script tests all available endpoints in the Escrow API
+// Runs the test suite against the local mock server, a recorded cassette or
+// the live sandbox, and exits with code 1 if any test fails.
+//
+//   node test-runner.js [--target mock|replay|live] [--group a,b]
+//                       [--junit report.xml] [--json-report report.json]
+//                       [--cassette file] [--record-cassette file]
 
 require("dotenv").config();
-const { EscrowClient, EscrowUtils } = require("./escrowService");
+const assert = require("assert");
+const http = require("http");
+const { Readable, PassThrough } = require("stream");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const {
+  EscrowClient,
+  EscrowUtils,
+  EscrowAuthenticationError,
+  EscrowNotFoundError,
+  EscrowValidationError,
+  EscrowServerError,
+  EscrowTransitionError,
+  EscrowSchemaError,
+  EscrowAbortError,
+  EscrowTimeoutError,
+  TransactionStateMachine,
+} = require("./escrowService");
+const { EscrowMockServer } = require("./mockServer");
+const {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+} = require("./idempotencyStore");
+const { TransactionBuilder } = require("./transactionBuilder");
+const cli = require("./cli");
+const { createLogger, silentLogger } = require("./logger");
+const { TransactionSync } = require("./transactionSync");
+const { JsonFileSyncStore, SqliteSyncStore } = require("./syncStore");
+const {
+  ApiKeyCredentialProvider,
+  FileCredentialProvider,
+} = require("./credentials");
+const {
+  EscrowWebhookHandler,
+  buildSignedWebhook,
+} = require("./webhookHandler");
+const { Money } = require("./money");
+const { Cassette, EscrowCassetteError } = require("./cassette");
+const { validate, jsonSchema } = require("./schemas");
+const { Transaction, TimelineEntry } = require("./models");
+const { TokenBucket } = require("./concurrency");
+const { buildAuditTrail, renderAuditTrail } = require("./auditTrail");
+const { FeeCalculator } = require("./feeCalculator");
+const {
+  AchDisbursementMethod,
+  WireDisbursementMethod,
+  parseDisbursementMethods,
+  chooseDisbursementMethod,
+} = require("./disbursementMethods");
+const {
+  TestRun,
+  skip,
+  assertShape,
+  expectError,
+  toJUnitXML,
+  toJSONReport,
+  writeReport,
+} = require("./testHarness");
+
+// ================================
+// 1. SUITE CONFIGURATION
+// ================================
+
+// Test groups in run order: name (for --group), heading and method
+const GROUPS = [
+  ["customer", "📋 Customer Endpoints", "testCustomerEndpoints"],
+  ["transaction", "📄 Transaction Endpoints", "testTransactionEndpoints"],
+  ["partner", "🤝 Partner Endpoints", "testPartnerEndpoints"],
+  ["errors", "🚨 Error Handling", "testErrorHandling"],
+  ["retry", "🔁 Retry Policy", "testRetryPolicy"],
+  ["idempotency", "🔑 Idempotency Keys", "testIdempotency"],
+  ["webhooks", "🪝 Webhook Receiver", "testWebhooks"],
+  ["state-machine", "🔀 Transaction State Machine", "testStateMachine"],
+  ["builder", "🧱 Transaction Builder", "testTransactionBuilder"],
+  ["pagination", "📚 Pagination Iterators", "testPagination"],
+  ["cli", "⌨️  Command-Line Tool", "testCli"],
+  ["reports", "📊 Report Workflow", "testReportWorkflow"],
+  ["credentials", "🔐 Credential Providers", "testCredentialProviders"],
+  ["transport", "🛰️  Shared Transport", "testTransport"],
+  ["middleware", "🪝 Interceptors & Logging", "testMiddleware"],
+  ["timeouts", "⏱️  Timeouts & Cancellation", "testTimeouts"],
+  ["milestones", "🪜 Milestone Helpers", "testMilestones"],
+  ["sync", "🔄 Transaction Sync", "testSync"],
+  ["money", "💰 Money", "testMoney"],
+  ["fees", "🧮 Fee Calculator", "testFeeCalculator"],
+  ["payments", "💳 Payment Flow", "testPaymentFlow"],
+  ["disbursements", "🏦 Disbursement Methods", "testDisbursementMethods"],
+  ["cassettes", "📼 Record & Replay Cassettes", "testCassettes"],
+  ["schemas", "🧾 Schemas & Models", "testSchemas"],
+  ["bulk", "📦 Bulk Operations", "testBulk"],
+  ["audit", "📜 Audit Trails", "testAuditTrail"],
+];
+
+// mock: the in-process mock server; replay: responses recorded on
+// DEFAULT_CASSETTE (or --cassette), no server at all; live: the Escrow
+// sandbox or production account configured in .env
+const TARGETS = ["mock", "replay", "live"];
+
+// Tests that need the mock server's state, or any real HTTP server
+const MOCK = ["mock"];
+const SERVERS = ["mock", "live"];
+
+const DEFAULT_CASSETTE = path.join(__dirname, "cassettes", "escrow-api.json");
+
+// Response shapes asserted by the endpoint tests
+const SHAPES = {
+  customer: { id: "number", email: "string" },
+  transaction: {
+    id: "number",
+    currency: "string",
+    parties: [{ customer: "string", role: "string" }],
+    items: [{ title: "string", schedule: [{ amount: "any" }] }],
+  },
+  timelineEntry: { id: "number", date: "string", message: "string" },
+};
+
+// ================================
+// 2. TESTER
+// ================================
 
 class EscrowAPITester {
-  constructor() {
+  // Options: target (see TARGETS), groups (names to run; default all),
+  // cassette (cassette to replay) and recordCassette (cassette to record
+  // the suite's API traffic on)
+  constructor(options = {}) {
     this.email = process.env.ESCROW_EMAIL;
     this.password = process.env.ESCROW_PASSWORD;
     this.isSandbox = process.env.ESCROW_SANDBOX === "true";
     this.testBuyerEmail = process.env.TEST_BUYER_EMAIL;
     this.testSellerEmail = process.env.TEST_SELLER_EMAIL;
+    // Default to the local mock server when asked to, or when no
+    // credentials are configured (e.g. in CI)
+    this.target =
+      options.target ||
+      process.env.ESCROW_TEST_TARGET ||
+      (process.env.ESCROW_MOCK === "true" || (!this.email && !this.password)
+        ? "mock"
+        : "live");
+    if (!TARGETS.includes(this.target)) {
+      throw new Error(
+        `Unknown test target "${this.target}" (use ${TARGETS.join(", ")})`
+      );
+    }
+    this.cassettePath = options.cassette || DEFAULT_CASSETTE;
+    this.recording = options.recordCassette
+      ? Cassette.record(options.recordCassette)
+      : null;
+    this.run = new TestRun({ groups: options.groups, target: this.target });
+    this.mockServer = null;
     this.client = null;
     this.testTransactionId = null;
+    // ESCROW_LOG_LEVEL=debug prints every request the suite makes
+    this.logger = createLogger({
+      level: process.env.ESCROW_LOG_LEVEL || "silent",
+    });
   }
 
   async initialize() {
+    if (this.recording && this.target === "replay") {
+      throw new Error("Cassettes are recorded against the mock or live target");
+    }
+    if (this.target === "mock") {
+      await this.startMockServer();
+      return;
+    }
+    if (this.target === "replay") {
+      this.useCassette();
+      return;
+    }
+
     if (!this.email || !this.password) {
       throw new Error(
         "Please set ESCROW_EMAIL and ESCROW_PASSWORD in your .env file"
       );
     }
 
-    this.client = new EscrowClient(this.email, this.password, !this.isSandbox);
+    this.client = new EscrowClient(
+      this.email,
+      this.password,
+      !this.isSandbox,
+      this.clientOptions()
+    );
     console.log(
       `🚀 Initialized Escrow API client (${
         this.isSandbox ? "SANDBOX" : "PRODUCTION"
@@ -32,279 +199,2869 @@ class EscrowAPITester {
     );
   }
 
+  // The account the mock server accepts, also the one replays use
+  useMockAccount() {
+    this.email = this.email || "mock@example.com";
+    this.password = this.password || "mock-password";
+    this.testBuyerEmail = this.testBuyerEmail || this.email;
+    this.testSellerEmail = this.testSellerEmail || "seller@example.com";
+    this.isSandbox = true;
+  }
+
+  async startMockServer() {
+    this.useMockAccount();
+    this.mockServer = new EscrowMockServer({
+      email: this.email,
+      password: this.password,
+    });
+    const baseURL = await this.mockServer.start();
+
+    this.client = new EscrowClient(this.email, this.password, false, {
+      ...this.clientOptions(),
+      baseURL,
+    });
+    console.log(`🚀 Initialized Escrow API client (MOCK at ${baseURL})`);
+  }
+
+  useCassette() {
+    if (!fs.existsSync(this.cassettePath)) {
+      throw new Error(`Cassette not found: ${this.cassettePath}`);
+    }
+    // Cassettes match any account, so replays need no .env
+    this.email = null;
+    this.password = null;
+    this.testBuyerEmail = null;
+    this.testSellerEmail = null;
+    this.useMockAccount();
+
+    this.client = new EscrowClient(this.email, this.password, false, {
+      logger: this.logger,
+      cassette: Cassette.replay(this.cassettePath),
+    });
+    console.log(
+      `🚀 Initialized Escrow API client (REPLAY of ${path.relative(
+        process.cwd(),
+        this.cassettePath
+      )})`
+    );
+  }
+
+  clientOptions() {
+    return { logger: this.logger, cassette: this.recording };
+  }
+
+  // Run one test in the current group; options.targets lists the targets
+  // it can run against (default all)
+  test(name, fn, options = {}) {
+    const { targets } = options;
+    return this.run.test(name, fn, {
+      skip:
+        targets && !targets.includes(this.target)
+          ? `${targets.join(" or ")} only`
+          : null,
+    });
+  }
+
   async runTests() {
-    console.log("\n🧪 Starting Escrow API Tests...\n");
+    console.log(`\n🧪 Starting Escrow API Tests (${this.target})...`);
 
-    try {
-      await this.testCustomerEndpoints();
-      await this.testTransactionEndpoints();
-      await this.testPartnerEndpoints();
-
-      console.log("\n✅ All tests completed successfully!");
-    } catch (error) {
-      console.error("\n❌ Test failed:", error.message);
-      if (error.response) {
-        console.error("Response:", error.response);
-      }
+    for (const [name, title, method] of GROUPS) {
+      await this.run.group(name, title, () => this[method]());
     }
+
+    const summary = this.run.summary();
+    console.log(
+      `\n${summary.failed > 0 ? "❌" : "✅"} ${summary.passed} passed, ${
+        summary.failed
+      } failed, ${summary.skipped} skipped (${summary.durationMs}ms)`
+    );
+    return summary;
   }
 
-  async testCustomerEndpoints() {
-    console.log("📋 Testing Customer Endpoints...");
+  // ---------- API endpoints ----------
 
-    try {
-      // Test 1: Get customer profile
-      console.log("  🔍 Getting customer profile...");
+  async testCustomerEndpoints() {
+    await this.test("gets the customer profile", async () => {
       const profile = await this.client.customers.getMyProfile();
-      console.log("  ✅ Profile retrieved:", profile.email || profile.id);
+      assertShape(profile, SHAPES.customer);
+      return profile.email;
+    });
 
-      // Test 2: Get API keys
-      console.log("  🔑 Getting API keys...");
-      const apiKeys = await this.client.customers.getAPIKeys();
-      console.log("  ✅ API keys retrieved");
+    await this.test("lists API keys", async () => {
+      const keys = await this.client.customers.getAPIKeys();
+      assertShape(keys, { api_keys: [{ id: "number", name: "string" }] });
+    });
 
-      // Test 3: Get disbursement methods
-      console.log("  💰 Getting disbursement methods...");
-      const disbursementMethods =
-        await this.client.customers.getDisbursementMethods();
-      console.log("  ✅ Disbursement methods retrieved");
+    await this.test("lists disbursement methods", async () => {
+      const methods = await this.client.customers.getDisbursementMethods();
+      assertShape(methods, { saved_disbursement_methods: "array" });
+    });
 
-      // Test 4: Get webhooks
-      console.log("  🪝 Getting webhooks...");
+    await this.test("lists webhooks", async () => {
       const webhooks = await this.client.customers.getWebhooks();
-      console.log("  ✅ Webhooks retrieved");
-    } catch (error) {
-      console.log("  ⚠️  Customer endpoint test failed:", error.message);
-    }
+      assertShape(webhooks, { webhooks: [{ id: "number", url: "string" }] });
+    });
   }
 
   async testTransactionEndpoints() {
-    console.log("\n📄 Testing Transaction Endpoints...");
-
-    try {
-      // Test 1: List transactions
-      console.log("  📜 Listing transactions...");
-      const transactions = await this.client.transactions.listTransactions({
+    await this.test("lists transactions", async () => {
+      const list = await this.client.transactions.listTransactions({
         per_page: 5,
       });
-      console.log(`  ✅ Found ${transactions.total || 0} transactions`);
-
-      // Test 2: Create a basic transaction (if we have test data)
-      if (this.canCreateTestTransaction()) {
-        console.log("  ➕ Creating test transaction...");
-        const transaction = await this.createTestTransaction();
-        if (transaction && transaction.id) {
-          this.testTransactionId = transaction.id;
-          console.log(`  ✅ Created transaction: ${transaction.id}`);
-
-          // Test 3: Get specific transaction
-          console.log("  📄 Getting transaction details...");
-          const transactionDetails =
-            await this.client.transactions.getTransaction(transaction.id);
-          console.log("  ✅ Transaction details retrieved");
-
-          // Test 4: Get transaction timeline
-          console.log("  ⏰ Getting transaction timeline...");
-          const timeline = await this.client.transactions.getTimeline(
-            transaction.id
-          );
-          console.log("  ✅ Transaction timeline retrieved");
-
-          // Test 5: Get payment methods
-          console.log("  💳 Getting payment methods...");
-          const paymentMethods = await this.client.payments.getPaymentMethods(
-            transaction.id
-          );
-          console.log("  ✅ Payment methods retrieved");
-
-          // Test 6: Get disbursement methods for transaction
-          console.log("  💸 Getting transaction disbursement methods...");
-          const disbursementMethods =
-            await this.client.disbursements.getTransactionDisbursements(
-              transaction.id
-            );
-          console.log("  ✅ Transaction disbursement methods retrieved");
+      assertShape(list, { transactions: [SHAPES.transaction] });
+      assert.ok(list.transactions.length <= 5, "per_page was not applied");
+      return `${list.total || 0} transactions`;
+    });
 
-          // Test 7: Perform transaction actions (agree to transaction)
-          console.log("  🤝 Testing transaction actions...");
-          try {
-            await this.client.agreeToTransaction(transaction.id);
-            console.log("  ✅ Buyer agreed to transaction");
-          } catch (error) {
-            console.log(
-              "  ⚠️  Agree action failed (expected in sandbox):",
-              error.message
-            );
-          }
+    await this.test("creates a transaction", async () => {
+      if (!this.canCreateTestTransaction()) {
+        skip("needs TEST_BUYER_EMAIL, TEST_SELLER_EMAIL and the sandbox");
+      }
+      const transaction = await this.createTestTransaction();
+      assertShape(transaction, SHAPES.transaction);
+      assert.deepStrictEqual(
+        transaction.parties.map((party) => party.role).sort(),
+        ["buyer", "seller"]
+      );
+      this.testTransactionId = transaction.id;
+      return `transaction ${transaction.id}`;
+    });
 
-          // Test 8: Test milestone actions
-          console.log("  📦 Testing milestone actions...");
-          if (transaction.items && transaction.items.length > 0) {
-            const firstItem = transaction.items[0];
-            try {
-              // Test shipping action
-              await this.client.shipItem(transaction.id, "UPS", "1Z999TEST123");
-              console.log("  ✅ Item marked as shipped");
-            } catch (error) {
-              console.log(
-                "  ⚠️  Ship action failed (expected in sandbox):",
-                error.message
-              );
-            }
-          }
+    // The tests below act on the transaction created above
+    const transactionId = () =>
+      this.testTransactionId || skip("no test transaction");
+
+    await this.test("gets transaction details", async () => {
+      const id = transactionId();
+      const transaction = await this.client.transactions.getTransaction(id);
+      assertShape(transaction, SHAPES.transaction);
+      assert.strictEqual(transaction.id, id);
+    });
+
+    await this.test("gets the transaction timeline", async () => {
+      const timeline = await this.client.transactions.getTimeline(
+        transactionId()
+      );
+      assertShape(timeline, { timeline_entries: [SHAPES.timelineEntry] });
+      assert.ok(timeline.timeline_entries.length > 0, "timeline is empty");
+    });
+
+    await this.test("gets payment methods", async () => {
+      const methods = await this.client.payments.getPaymentMethods(
+        transactionId()
+      );
+      assertShape(methods, {
+        available_payment_methods: [{ type: "string", total: "any" }],
+      });
+      return methods.available_payment_methods.map((m) => m.type).join(", ");
+    });
+
+    await this.test("gets transaction disbursement methods", async () => {
+      const methods =
+        await this.client.disbursements.getTransactionDisbursements(
+          transactionId()
+        );
+      assertShape(methods, { saved_disbursement_methods: "array" });
+    });
+
+    await this.test("agrees to the transaction as buyer", async () => {
+      await this.client.agreeToTransaction(transactionId());
+    });
+
+    // The suite's account is the buyer, which only the mock lets ship
+    await this.test(
+      "marks the item as shipped",
+      async () => {
+        await this.client.shipItem(transactionId(), "UPS", "1Z999TEST123");
+      },
+      { targets: ["mock", "replay"] }
+    );
+  }
+
+  async testPartnerEndpoints() {
+    await this.test("lists partner transactions", async () => {
+      const list = await this.client.partner.listPartnerTransactions({
+        limit: 5,
+      });
+      assertShape(list, { transactions: [SHAPES.transaction] });
+      return `${list.total || 0} partner transactions`;
+    });
+
+    await this.test("lists partner customers", async () => {
+      const list = await this.client.partner.listPartnerCustomers({
+        limit: 5,
+      });
+      assertShape(list, { customers: [SHAPES.customer] });
+      return `${list.total || 0} partner customers`;
+    });
+
+    await this.test("lists reports", async () => {
+      const reports = await this.client.partner.listReports();
+      assertShape(reports, { reports: "array" });
+    });
+  }
+
+  // ---------- client behaviour ----------
+
+  async testErrorHandling() {
+    await this.test(
+      "a missing transaction raises EscrowNotFoundError",
+      async () => {
+        const error = await expectError(
+          () => this.client.transactions.getTransaction(999999999),
+          EscrowNotFoundError
+        );
+        assert.strictEqual(error.statusCode, 404);
+        return `${error.method} ${error.url}`;
+      }
+    );
+
+    await this.test(
+      "invalid credentials raise EscrowAuthenticationError",
+      async () => {
+        const badClient = new EscrowClient(
+          this.email,
+          "invalid-password",
+          !this.isSandbox,
+          { baseURL: this.client.baseURL }
+        );
+        await expectError(
+          () => badClient.customers.getMyProfile(),
+          EscrowAuthenticationError
+        );
+      },
+      { targets: SERVERS }
+    );
+
+    await this.test(
+      "an invalid payload raises EscrowValidationError",
+      async () => {
+        const error = await expectError(
+          () => this.client.transactions.createTransaction({ parties: [] }),
+          EscrowValidationError
+        );
+        return Object.keys(error.errors).join(", ") || error.message;
+      }
+    );
+  }
+
+  async testRetryPolicy() {
+    const retry = { maxAttempts: 3, baseDelay: 10, jitter: 0 };
+    const stubClient = (stub) =>
+      new EscrowClient("stub@example.com", "secret", false, {
+        baseURL: stub.url,
+        retry,
+      });
+
+    await this.test("GET recovers after two 503 responses", () =>
+      withServer(startFlakyServer(2, { status: 503 }), async (stub) => {
+        await stubClient(stub).customers.getMyProfile();
+        assert.strictEqual(stub.hits(), 3);
+        return `succeeded after ${stub.hits()} attempts`;
+      })
+    );
+
+    await this.test("honours Retry-After on 429", () =>
+      withServer(
+        startFlakyServer(1, { status: 429, headers: { "Retry-After": "1" } }),
+        async (stub) => {
+          const started = Date.now();
+          await stubClient(stub).customers.getMyProfile();
+          const waited = Date.now() - started;
+          assert.ok(waited >= 1000, `waited only ${waited}ms`);
+          return `waited ${waited}ms`;
+        }
+      )
+    );
+
+    await this.test("never retries a POST without an idempotency key", () =>
+      withServer(startFlakyServer(1, { status: 503 }), async (stub) => {
+        await expectError(
+          () => stubClient(stub).makeRequest("/transaction", "POST", {}),
+          EscrowServerError
+        );
+        assert.strictEqual(stub.hits(), 1);
+      })
+    );
+
+    await this.test("a generated key does not make a call retryable", () =>
+      withServer(startFlakyServer(1, { status: 503 }), async (stub) => {
+        await expectError(
+          () =>
+            stubClient(stub).transactions.createTransaction(
+              this.buildTestTransactionData()
+            ),
+          EscrowServerError
+        );
+        assert.strictEqual(stub.hits(), 1);
+      })
+    );
+
+    await this.test("createTransaction retries with the caller's key", () =>
+      withServer(startFlakyServer(1, { status: 503 }), async (stub) => {
+        await stubClient(stub).transactions.createTransaction(
+          this.buildTestTransactionData(),
+          { idempotencyKey: "create-retry-test" }
+        );
+        assert.strictEqual(stub.hits(), 2);
+      })
+    );
+
+    await this.test("retries a POST with an idempotency key", () =>
+      withServer(startFlakyServer(1, { status: 503 }), async (stub) => {
+        await stubClient(stub).makeRequest(
+          "/transaction",
+          "POST",
+          {},
+          { idempotencyKey: "retry-test" }
+        );
+        assert.strictEqual(stub.hits(), 2);
+      })
+    );
+  }
+
+  async testIdempotency() {
+    await this.test(
+      "replaying a key returns the recorded transaction",
+      async () => {
+        const key = `test-${Date.now()}`;
+        const create = () =>
+          this.client.createBasicTransaction(
+            this.email,
+            this.testSellerEmail,
+            "Idempotent Item",
+            "Created twice with the same idempotency key",
+            100,
+            "usd",
+            { idempotencyKey: key }
+          );
+        const first = await create();
+        const countBefore = this.mockServer.transactions.size;
+        const second = await create();
+        assert.strictEqual(second.id, first.id);
+        assert.strictEqual(this.mockServer.transactions.size, countBefore);
+        return `replayed transaction ${first.id}`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "a file-backed key store survives a new client",
+      async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-idem-"));
+        try {
+          const filePath = path.join(tmpDir, "keys.json");
+          const makeClient = () =>
+            new EscrowClient(this.email, this.password, false, {
+              baseURL: this.client.baseURL,
+              idempotency: { store: new FileIdempotencyStore(filePath) },
+            });
+
+          const payload = this.buildTestTransactionData();
+          const options = { idempotencyKey: "file-store-test" };
+          const first = await makeClient().transactions.createTransaction(
+            payload,
+            options
+          );
+          const requestsBefore = this.mockServer.requests.length;
+          const second = await makeClient().transactions.createTransaction(
+            payload,
+            options
+          );
+          assert.strictEqual(second.id, first.id);
+          assert.strictEqual(
+            this.mockServer.requests.length,
+            requestsBefore,
+            "the replay sent a request"
+          );
+        } finally {
+          fs.rmSync(tmpDir, { recursive: true, force: true });
         }
-      } else {
-        console.log(
-          "  ⏭️  Skipping transaction creation (no test data available)"
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "records only keys the caller chose",
+      async () => {
+        const store = new MemoryIdempotencyStore();
+        const client = new EscrowClient(this.email, this.password, false, {
+          baseURL: this.client.baseURL,
+          idempotency: { store },
+        });
+        await client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        assert.strictEqual(store.records.size, 0);
+        await client.transactions.createTransaction(
+          this.buildTestTransactionData(),
+          { idempotencyKey: "chosen-key" }
+        );
+        assert.deepStrictEqual([...store.records.keys()], ["chosen-key"]);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test("the memory store drops expired records", async () => {
+      const store = new MemoryIdempotencyStore({ maxAge: 1000 });
+      await store.set("old", { createdAt: Date.now() - 5000 });
+      await store.set("new", { createdAt: Date.now() });
+      assert.strictEqual(await store.get("old"), null);
+      assert.ok(await store.get("new"));
+    });
+
+    await this.test("a file store survives overlapping writes", async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-idem-"));
+      try {
+        const filePath = path.join(tmpDir, "keys.json");
+        const store = new FileIdempotencyStore(filePath);
+        const keys = Array.from({ length: 10 }, (_, i) => `key-${i}`);
+        await Promise.all(
+          keys.map((key) =>
+            store.set(key, { method: "POST", createdAt: Date.now() })
+          )
         );
+        const reloaded = new FileIdempotencyStore(filePath);
+        for (const key of keys) {
+          assert.ok(await reloaded.get(key), `${key} was not saved`);
+        }
+        assert.ok(!fs.existsSync(`${filePath}.tmp`), "temporary file left");
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
       }
-    } catch (error) {
-      console.log("  ⚠️  Transaction endpoint test failed:", error.message);
-    }
+    });
   }
 
-  async testPartnerEndpoints() {
-    console.log("\n🤝 Testing Partner Endpoints...");
+  async testWebhooks() {
+    const secret = "webhook-test-secret";
+    const received = [];
+    const logged = [];
+    const handler = new EscrowWebhookHandler({
+      secret,
+      logger: { ...silentLogger, warn: (...entry) => logged.push(entry) },
+    })
+      .onAgreed((event) => received.push(`agreed:${event.transaction_id}`))
+      .onPaymentSecured((event) =>
+        received.push(`paid:${event.transaction_id}`)
+      )
+      .onCancelled((event) =>
+        received.push(`cancelled:${event.transaction_id}`)
+      );
+
+    const server = http.createServer(handler.listener());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/escrow/webhook`;
+    const deliver = ({ body, headers }) =>
+      fetch(url, { method: "POST", headers, body });
+    const agreed = buildSignedWebhook(secret, { event: "agree" });
 
     try {
-      // Test 1: List partner transactions
-      console.log("  📋 Listing partner transactions...");
-      const partnerTransactions =
-        await this.client.partner.listPartnerTransactions({ limit: 5 });
-      console.log(
-        `  ✅ Found ${partnerTransactions.total || 0} partner transactions`
+      await this.test(
+        "dispatches signed events to their handlers",
+        async () => {
+          await deliver(agreed);
+          await deliver(
+            buildSignedWebhook(secret, { event: "payment_approved" })
+          );
+          assert.deepStrictEqual(received, ["agreed:1000", "paid:1000"]);
+        }
       );
 
-      // Test 2: List partner customers
-      console.log("  👥 Listing partner customers...");
-      const partnerCustomers = await this.client.partner.listPartnerCustomers({
-        limit: 5,
+      await this.test("acknowledges a retried delivery once", async () => {
+        const retry = await deliver(agreed);
+        const body = await retry.json();
+        assert.strictEqual(retry.status, 200);
+        assert.ok(body.duplicate, "not flagged as a duplicate");
+        assert.strictEqual(received.length, 2, "dispatched again");
       });
-      console.log(
-        `  ✅ Found ${partnerCustomers.total || 0} partner customers`
-      );
 
-      // Test 3: List reports
-      console.log("  📊 Listing reports...");
-      const reports = await this.client.partner.listReports();
-      console.log("  ✅ Reports retrieved");
-    } catch (error) {
-      console.log("  ⚠️  Partner endpoint test failed:", error.message);
+      await this.test("rejects a tampered payload with 401", async () => {
+        const tampered = buildSignedWebhook(secret, { event: "cancel" });
+        tampered.body = tampered.body.replace("1000", "2000");
+        const rejected = await deliver(tampered);
+        assert.strictEqual(rejected.status, 401);
+        assert.strictEqual(received.length, 2, "tampered event dispatched");
+        assert.strictEqual(logged.length, 1);
+        assert.strictEqual(logged[0][0], "Webhook delivery rejected");
+        assert.strictEqual(logged[0][1].status, 401);
+      });
+
+      await this.test("answers 400 when the body cannot be read", async () => {
+        const req = new PassThrough();
+        req.headers = {};
+        let sent = null;
+        const res = {
+          headersSent: false,
+          setHeader() {},
+          end: (body) => (sent = body),
+        };
+        const listening = handler.listener()(req, res);
+        req.destroy(new Error("aborted"));
+        await listening;
+        assert.strictEqual(res.statusCode, 400);
+        assert.ok(JSON.parse(sent).error);
+        assert.strictEqual(logged.length, 2);
+        assert.strictEqual(logged[1][1].error, "aborted");
+      });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
     }
   }
 
-  canCreateTestTransaction() {
-    // Check if we have test buyer/seller emails configured
-    return this.testBuyerEmail && this.testSellerEmail && this.isSandbox;
-  }
+  async testStateMachine() {
+    await this.test("derives a status from partial payloads", () => {
+      const statuses = [
+        EscrowUtils.getTransactionStatus({}),
+        EscrowUtils.getTransactionStatus({
+          parties: [{ agreed: true }],
+          items: [{ title: "No schedule" }],
+        }),
+      ];
+      statuses.forEach((status, i) =>
+        assertShape(status, "string", `status[${i}]`)
+      );
+      return statuses.join(", ");
+    });
 
-  async createTestTransaction() {
-    try {
-      console.log("  💰 Creating test transaction...");
+    await this.test("tolerates malformed payloads", () => {
+      assert.strictEqual(EscrowUtils.getTransactionStatus(null), null);
+      assert.strictEqual(EscrowUtils.getTransactionStatus("1000"), null);
+      const status = EscrowUtils.getTransactionStatus({
+        parties: [null, { agreed: true }],
+        items: [null, { schedule: [null, "10.00"], status: "shipped" }],
+      });
+      assert.strictEqual(status, "pending_payment");
+    });
 
-      // Create a simple test transaction (simplified format)
-      const transactionData = {
-        currency: "usd",
-        description: "Test Transaction - API Integration Testing",
+    await this.test("only the seller may ship a paid item", () => {
+      const allowed = TransactionStateMachine.allowedActionsByParty({
         parties: [
-          {
-            role: "buyer",
-            customer: this.email, // Use the authenticated user's email
-          },
-          {
-            role: "seller",
-            customer: this.testSellerEmail,
-          },
+          { customer: "buyer@example.com", role: "buyer", agreed: true },
+          { customer: "seller@example.com", role: "seller", agreed: true },
         ],
         items: [
           {
-            title: "Test Item - Digital Camera",
-            description: "Professional digital camera for testing purposes",
-            type: "general_merchandise",
-            inspection_period: 259200, // 3 days in seconds
-            quantity: 1,
-            schedule: [
-              {
-                amount: 450.0, // Use number instead of string
-                payer_customer: this.email,
-                beneficiary_customer: this.testSellerEmail,
-              },
-            ],
+            id: 1,
+            schedule: [{ amount: "10.00", status: { secured: true } }],
+            status: {},
           },
         ],
-      };
+      });
+      assert.ok(allowed["seller@example.com"].includes("ship"));
+      assert.ok(!allowed["buyer@example.com"].includes("ship"));
+      assert.ok(!allowed["buyer@example.com"].includes("accept"));
+    });
 
-      console.log(
-        "  📋 Transaction data:",
-        JSON.stringify(transactionData, null, 2)
-      );
+    await this.test(
+      "matches item ids given as strings",
+      async () => {
+        const client = new EscrowClient(this.email, this.password, false, {
+          baseURL: this.client.baseURL,
+          validateTransitions: true,
+        });
+        const { id } = await client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const snapshot = this.mockServer.transactions.get(id);
+        snapshot.parties.forEach((party) => (party.agreed = true));
+        this.mockServer.securePayment(id);
+        const [item] = snapshot.items;
+        item.status = { ...item.status, shipped: true };
+
+        assert.deepStrictEqual(
+          TransactionStateMachine.allowedActions(
+            snapshot,
+            "buyer",
+            String(item.id)
+          ),
+          ["receive", "accept", "reject"]
+        );
+        await client.milestones.performItemAction(id, String(item.id), {
+          action: "receive",
+        });
+        assert.ok(snapshot.items[0].status.received);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "rejects an invalid transition before calling the API",
+      async () => {
+        const client = new EscrowClient(this.email, this.password, false, {
+          baseURL: this.client.baseURL,
+          validateTransitions: true,
+        });
+        const transaction = await client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const requestsBefore = this.mockServer.requests.length;
+        const error = await expectError(
+          () =>
+            client.shipItem(transaction.id, "UPS", "1Z999TEST123", {
+              transaction,
+            }),
+          EscrowTransitionError
+        );
+        assert.strictEqual(this.mockServer.requests.length, requestsBefore);
+        return `allowed: ${error.allowed}`;
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testTransactionBuilder() {
+    await this.test("builds a brokered multi-milestone payload", () => {
+      const payload = new TransactionBuilder()
+        .currency("eur")
+        .buyer("buyer@example.com")
+        .seller("seller@example.com")
+        .broker("broker@example.com")
+        .feeSplit({ buyer: 0.25, seller: 0.75 })
+        .addMilestone({ title: "Design", amount: 1200 })
+        .addMilestone({ title: "Build", amount: 2800.5, inspectionDays: 5 })
+        .addBrokerCommission(150)
+        .addShippingFee(20)
+        .build();
 
-      const transaction = await this.client.transactions.createTransaction(
-        transactionData
+      const amounts = payload.items.map((item) => item.schedule[0].amount);
+      assert.strictEqual(payload.parties.length, 3);
+      assert.deepStrictEqual(amounts, [
+        "1200.00",
+        "2800.50",
+        "150.00",
+        "20.00",
+      ]);
+      assert.strictEqual(
+        payload.items[2].schedule[0].beneficiary_customer,
+        "broker@example.com"
       );
-      console.log("  ✅ Test transaction created successfully");
-      console.log("  📄 Transaction ID:", transaction.id);
-      return transaction;
-    } catch (error) {
-      console.log("  ❌ Failed to create test transaction:", error.message);
-      console.log(
-        "  💡 This is expected in sandbox if test emails don't exist"
+      return `${payload.items.length} items`;
+    });
+
+    await this.test("reports invalid input field by field", async () => {
+      const error = await expectError(
+        () =>
+          new TransactionBuilder()
+            .currency("jpy")
+            .buyer("not-an-email")
+            .seller("seller@example.com")
+            .addItem({ title: "Bad split", amount: 10, fees: { buyer: 0.6 } })
+            .build(),
+        EscrowValidationError
       );
-      return null;
-    }
+      return `rejected ${Object.keys(error.errors).join(", ")}`;
+    });
   }
 
-  async cleanup() {
-    // Clean up any test resources if needed
-    if (this.testTransactionId) {
-      console.log(
-        `\n🧹 Cleaning up test transaction ${this.testTransactionId}...`
-      );
-      try {
-        // Cancel the test transaction to avoid accumulation
-        await this.client.transactions.performAction(this.testTransactionId, {
-          action: "cancel",
-        });
-        console.log("  ✅ Test transaction cancelled successfully");
-      } catch (error) {
-        console.log("  ⚠️  Cleanup failed:", error.message);
-        console.log("  💡 Test transaction may need manual cleanup in sandbox");
+  async testPagination() {
+    // Make sure there are several pages to walk through
+    const ensureTransactions = async (count) => {
+      while (this.mockServer.transactions.size < count) {
+        await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
       }
-    }
+      return this.mockServer.transactions.size;
+    };
+
+    await this.test(
+      "iterates page/per_page listings",
+      async () => {
+        const expected = await ensureTransactions(7);
+        const ids = [];
+        for await (const transaction of this.client.transactions.iterate({
+          per_page: 3,
+          prefetch: true,
+        })) {
+          ids.push(transaction.id);
+        }
+        assert.strictEqual(ids.length, expected);
+        assert.strictEqual(new Set(ids).size, expected, "duplicate ids");
+        return `${ids.length} transactions`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "stops cursor listings at maxItems",
+      async () => {
+        await ensureTransactions(7);
+        let count = 0;
+        for await (const transaction of this.client.partner.iterateTransactions(
+          { limit: 2, maxItems: 5 }
+        )) {
+          count++;
+        }
+        assert.strictEqual(count, 5);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "an abort signal stops the iteration",
+      async () => {
+        const controller = new AbortController();
+        await expectError(async () => {
+          for await (const customer of this.client.partner.iterateCustomers({
+            limit: 1,
+            signal: controller.signal,
+          })) {
+            controller.abort();
+          }
+        }, EscrowAbortError);
+      },
+      { targets: MOCK }
+    );
   }
-}
 
-// Utility function to format test results
-function formatTestResult(success, message, data = null) {
-  const status = success ? "✅" : "❌";
-  console.log(`${status} ${message}`);
-  if (data && typeof data === "object") {
-    console.log(`   Details: ${JSON.stringify(data, null, 2)}`);
+  async testCli() {
+    // Run the CLI in-process with a mock profile and captured output
+    const runCli = async (args, stdinText = "") => {
+      let stdout = "";
+      let stderr = "";
+      const code = await cli.main(args, {
+        env: {
+          ESCROW_MOCK_EMAIL: this.email,
+          ESCROW_MOCK_PASSWORD: this.password,
+          ESCROW_MOCK_BASE_URL: this.client.baseURL,
+        },
+        stdin: Readable.from([stdinText]),
+        stdout: { write: (text) => (stdout += text) },
+        stderr: { write: (text) => (stderr += text) },
+      });
+      return { code, stdout, stderr };
+    };
+
+    await this.test(
+      "escrow customer me prints JSON",
+      async () => {
+        const me = await runCli(["customer", "me", "--profile", "mock"]);
+        assert.strictEqual(me.code, 0, me.stderr);
+        assert.strictEqual(JSON.parse(me.stdout).email, this.email);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "escrow tx create reads stdin and tx timeline prints a table",
+      async () => {
+        const created = await runCli(
+          ["tx", "create", "--profile", "mock", "--file", "-"],
+          JSON.stringify(this.buildTestTransactionData())
+        );
+        assert.strictEqual(created.code, 0, created.stderr);
+        const transaction = JSON.parse(created.stdout);
+        const timeline = await runCli([
+          "tx",
+          "timeline",
+          String(transaction.id),
+          "--profile",
+          "mock",
+          "--table",
+        ]);
+        assert.strictEqual(timeline.code, 0, timeline.stderr);
+        assert.ok(timeline.stdout.includes("Transaction created"));
+        return `transaction ${transaction.id}`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "escrow tx get --table prints one row per field",
+      async () => {
+        const { id } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const table = await runCli([
+          "tx",
+          "get",
+          String(id),
+          "--profile",
+          "mock",
+          "--table",
+        ]);
+        assert.strictEqual(table.code, 0, table.stderr);
+        const [header, , ...rows] = table.stdout.trim().split("\n");
+        assert.ok(/^key\s+value$/.test(header), header);
+        const keys = rows.map((row) => row.split(/\s+/)[0]);
+        assert.ok(keys.includes("id") && keys.includes("parties"));
+
+        const me = await runCli([
+          "customer",
+          "me",
+          "--profile",
+          "mock",
+          "--table",
+        ]);
+        assert.strictEqual(me.code, 0, me.stderr);
+        assert.ok(me.stdout.includes(this.email), me.stdout);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "escrow tx bulk reports every transaction",
+      async () => {
+        const { id } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const bulk = await runCli([
+          "tx",
+          "bulk",
+          "cancel",
+          String(id),
+          "999999999",
+          "--dry-run",
+          "--profile",
+          "mock",
+        ]);
+        assert.strictEqual(bulk.code, 0, bulk.stderr);
+        const summary = JSON.parse(bulk.stdout);
+        assert.deepStrictEqual(
+          summary.results.map(({ status }) => status),
+          ["allowed", "failed"]
+        );
+        assert.ok(summary.results[1].error.includes("not found"));
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "escrow tx audit prints Markdown",
+      async () => {
+        const { id } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const audit = await runCli([
+          "tx",
+          "audit",
+          String(id),
+          "--profile",
+          "mock",
+        ]);
+        assert.strictEqual(audit.code, 0, audit.stderr);
+        assert.ok(
+          audit.stdout.startsWith(`# Audit trail for transaction ${id}`)
+        );
+        assert.ok(audit.stdout.includes("| Transaction created |"));
+
+        const unknown = await runCli([
+          "tx",
+          "audit",
+          String(id),
+          "--format",
+          "pdf",
+          "--profile",
+          "mock",
+        ]);
+        assert.strictEqual(unknown.code, 2);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "usage errors exit with code 2",
+      async () => {
+        const usage = await runCli(["tx", "ship", "1", "--profile", "mock"]);
+        assert.strictEqual(usage.code, 2);
+      },
+      { targets: MOCK }
+    );
   }
-}
 
-// Main execution
-async function main() {
-  console.log("🎯 Escrow.com API Test Suite");
-  console.log("==============================");
+  async testReportWorkflow() {
+    const polling = { pollInterval: 10, maxPollInterval: 50 };
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-report-"));
+
+    try {
+      await this.test(
+        "polls, downloads and parses a CSV report",
+        async () => {
+          await this.client.transactions.createTransaction(
+            this.buildTestTransactionData()
+          );
+          const csv = await this.client.partner.fetchReport(
+            { type: "transactions" },
+            polling
+          );
+          assert.strictEqual(
+            csv.rows.length,
+            this.mockServer.transactions.size
+          );
+          assertShape(
+            csv.rows,
+            [{ transaction_id: "number", amount: "string" }],
+            "rows"
+          );
+          assert.strictEqual(typeof csv.rows[0].is_cancelled, "boolean");
+          assert.ok(/^\d+\.\d{2}$/.test(csv.rows[0].amount), "amount lost");
+          return `${csv.rows.length} typed rows`;
+        },
+        { targets: MOCK }
+      );
 
-  const tester = new EscrowAPITester();
+      await this.test("converts only columns of known types", () => {
+        const rows = EscrowUtils.parseCSV(
+          [
+            "transaction_id,amount,description,is_cancelled,reference",
+            '1000,1250.00,true,false,"00123"',
+            "1001,0.1000000000000000055511,,true,7",
+          ].join("\n")
+        );
+        assert.deepStrictEqual(rows[0], {
+          transaction_id: 1000,
+          amount: "1250.00",
+          description: "true",
+          is_cancelled: false,
+          reference: "00123",
+        });
+        assert.strictEqual(rows[1].amount, "0.1000000000000000055511");
+        assert.strictEqual(rows[1].description, null);
+        assert.strictEqual(rows[1].reference, "7");
 
-  try {
-    await tester.initialize();
-    await tester.runTests();
-    await tester.cleanup();
-  } catch (error) {
-    console.error("💥 Fatal error:", error.message);
-    process.exit(1);
+        const typed = EscrowUtils.parseCSV("reference\n7", {
+          reference: "integer",
+        });
+        assert.strictEqual(typed[0].reference, 7);
+      });
+
+      await this.test(
+        "fetches a JSON report",
+        async () => {
+          const json = await this.client.partner.fetchReport(
+            { type: "transactions" },
+            { ...polling, format: "json" }
+          );
+          assert.strictEqual(
+            json.rows.length,
+            this.mockServer.transactions.size
+          );
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "streams a report to a file",
+        async () => {
+          const destination = path.join(tmpDir, "report.csv");
+          const saved = await this.client.partner.fetchReport(
+            { type: "transactions" },
+            { ...polling, destination }
+          );
+          const lines = fs.readFileSync(destination, "utf8").trim().split("\n");
+          assert.ok(saved.bytes > 0, "nothing was written");
+          assert.strictEqual(
+            lines.length,
+            this.mockServer.transactions.size + 1
+          );
+          return `${saved.bytes} bytes`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "streams a report from a fetch with Node stream bodies",
+        async () => {
+          // Like node-fetch: the body is a Readable, not a WHATWG stream
+          const nodeFetch = async (url, init) => {
+            const response = await fetch(url, init);
+            const text = await response.text();
+            return {
+              ok: response.ok,
+              status: response.status,
+              statusText: response.statusText,
+              headers: response.headers,
+              body: Readable.from([Buffer.from(text)]),
+              text: async () => text,
+              json: async () => JSON.parse(text),
+            };
+          };
+          const client = new EscrowClient(this.email, this.password, false, {
+            baseURL: this.client.baseURL,
+            fetch: nodeFetch,
+          });
+          const destination = path.join(tmpDir, "node-fetch.csv");
+          const saved = await client.partner.fetchReport(
+            { type: "transactions" },
+            { ...polling, destination }
+          );
+          assert.strictEqual(fs.statSync(destination).size, saved.bytes);
+          assert.ok(
+            fs.readFileSync(destination, "utf8").startsWith("transaction_id,")
+          );
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "times out on a report that never completes",
+        async () => {
+          this.mockServer.reportPolls = Infinity;
+          try {
+            await expectError(
+              () =>
+                this.client.partner.fetchReport(
+                  {},
+                  { ...polling, timeout: 100 }
+                ),
+              EscrowTimeoutError
+            );
+          } finally {
+            this.mockServer.reportPolls = 1;
+          }
+        },
+        { targets: MOCK }
+      );
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
   }
 
-  console.log("\n🎉 Test suite completed!");
-}
+  async testCredentialProviders() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-creds-"));
+    // Set by the first tests, used by the later ones
+    let key = null;
+    let keyClient = null;
+    let rotated = null;
 
-// Run the tests if this file is executed directly
-if (require.main === module) {
-  main().catch(console.error);
+    try {
+      await this.test(
+        "authenticates with email and API key",
+        async () => {
+          key = await this.client.customers.createAPIKey("test-runner");
+          keyClient = new EscrowClient(null, null, false, {
+            baseURL: this.client.baseURL,
+            credentials: new ApiKeyCredentialProvider(this.email, key.secret),
+          });
+          const profile = await keyClient.customers.getMyProfile();
+          assert.strictEqual(profile.email, this.email);
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "sub-clients share one credential holder",
+        () => {
+          if (!keyClient) skip("no API key client");
+          const services = [
+            keyClient.customers,
+            keyClient.transactions,
+            keyClient.payments,
+            keyClient.disbursements,
+            keyClient.milestones,
+            keyClient.partner,
+          ];
+          assert.ok(services.every((s) => s.auth === keyClient.auth));
+          assert.ok(!("password" in keyClient.transactions));
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "picks up a rotated key file after a 401",
+        async () => {
+          if (!key) skip("no API key");
+          const filePath = path.join(tmpDir, "credentials.json");
+          fs.writeFileSync(
+            filePath,
+            JSON.stringify({ email: this.email, api_key: key.secret })
+          );
+          const fileClient = new EscrowClient(null, null, false, {
+            baseURL: this.client.baseURL,
+            credentials: new FileCredentialProvider(filePath),
+          });
+          await fileClient.customers.getMyProfile();
+
+          rotated = await this.client.customers.createAPIKey("rotated");
+          this.mockServer.apiKeys = this.mockServer.apiKeys.filter(
+            (apiKey) => apiKey.id !== key.id
+          );
+          fs.writeFileSync(
+            filePath,
+            JSON.stringify({ email: this.email, api_key: rotated.secret })
+          );
+          await fileClient.transactions.listTransactions({ per_page: 1 });
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "rotateCredentials reaches every sub-client",
+        async () => {
+          if (!rotated) skip("no rotated key");
+          const customClient = new EscrowClient(null, null, false, {
+            baseURL: this.client.baseURL,
+            credentials: async () => ({ email: this.email, apiKey: "revoked" }),
+          });
+          customClient.rotateCredentials(rotated.secret);
+          await customClient.partner.listReports();
+        },
+        { targets: MOCK }
+      );
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  async testTransport() {
+    const lastRequest = () =>
+      this.mockServer.requests[this.mockServer.requests.length - 1];
+    const client = new EscrowClient(this.email, this.password, false, {
+      baseURL: this.client.baseURL,
+      userAgent: "test-runner/1.0",
+    });
+
+    await this.test("sub-clients share one transport", () => {
+      const services = [
+        client.customers,
+        client.transactions,
+        client.payments,
+        client.disbursements,
+        client.milestones,
+        client.partner,
+      ];
+      assert.ok(services.every((s) => s.transport === client.transport));
+    });
+
+    await this.test(
+      "configured headers reach every sub-client",
+      async () => {
+        client.configure({ headers: { "X-Trace-Id": "suite" } });
+        await client.partner.listReports();
+        const { headers } = lastRequest();
+        assert.strictEqual(headers["x-trace-id"], "suite");
+        assert.strictEqual(headers["user-agent"], "test-runner/1.0");
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "per-call overrides leave the shared settings alone",
+      async () => {
+        await client.makeRequest("/customer/me", "GET", null, {
+          headers: { "X-Trace-Id": "call" },
+        });
+        assert.strictEqual(lastRequest().headers["x-trace-id"], "call");
+        await expectError(
+          () =>
+            client.makeRequest("/customer/me", "GET", null, {
+              version: "1999-01-01",
+            }),
+          EscrowNotFoundError
+        );
+        assert.ok(lastRequest().path.startsWith("/1999-01-01/"));
+        assert.strictEqual(client.version, "2017-09-01");
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "every sub-client uses a custom fetch",
+      async () => {
+        let calls = 0;
+        client.configure({
+          fetch: (url, init) => {
+            calls++;
+            return fetch(url, init);
+          },
+        });
+        await client.transactions.listTransactions({ per_page: 1 });
+        await client.customers.getMyProfile();
+        assert.strictEqual(calls, 2);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test("times out a request that never answers", async () => {
+      const hanging = (url, init) =>
+        new Promise((resolve, reject) =>
+          init.signal.addEventListener("abort", () =>
+            reject(init.signal.reason)
+          )
+        );
+      await expectError(
+        () =>
+          client.customers.makeRequest("/customer/me", "GET", null, {
+            fetch: hanging,
+            timeout: 50,
+          }),
+        EscrowTimeoutError
+      );
+    });
+  }
+
+  async testMiddleware() {
+    const lines = [];
+    const client = new EscrowClient(this.email, this.password, false, {
+      baseURL: this.client.baseURL,
+      logger: createLogger({
+        level: "debug",
+        format: "json",
+        stream: { write: (line) => lines.push(line) },
+      }),
+    });
+
+    await this.test("is silent by default", () => {
+      const quiet = new EscrowClient(this.email, this.password, false, {
+        baseURL: this.client.baseURL,
+      });
+      assert.strictEqual(quiet.transport.logger, silentLogger);
+    });
+
+    await this.test(
+      "logs JSON lines with timing and redacted secrets",
+      async () => {
+        const transaction = await client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const wire = await client.payments.getWireDetails(transaction.id);
+        await client.disbursements.setDisbursementMethod(transaction.id, {
+          type: "ach",
+          account_name: "Test Seller",
+          account_number: "998877665544",
+          routing_number: "121000248",
+        });
+        await client.transactions.performAction(transaction.id, {
+          action: "cancel",
+        });
+
+        const output = lines.join("");
+        const entries = lines.map((line) => JSON.parse(line));
+        const leaked = [
+          "Basic ",
+          this.password,
+          wire.account_number,
+          "998877665544",
+        ].filter((secret) => output.includes(secret));
+        assert.deepStrictEqual(leaked, [], "secrets leaked into the log");
+        assert.ok(
+          entries.some(
+            (entry) =>
+              entry.message === "Escrow API response" &&
+              entry.status === 200 &&
+              Number.isFinite(entry.durationMs)
+          ),
+          "no timed response entry"
+        );
+        return `${entries.length} log lines`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "interceptors see every request, response and error",
+      async () => {
+        const seen = [];
+        client.configure({ logger: null });
+        client.use({
+          beforeRequest: (context) => {
+            context.headers["X-Correlation-Id"] = `req-${seen.length}`;
+            seen.push(`before ${context.method}`);
+          },
+          afterResponse: (context) =>
+            seen.push(`after ${context.status} ${context.durationMs >= 0}`),
+          onError: (context) =>
+            seen.push(`error ${context.status} ${context.durationMs >= 0}`),
+        });
+        await client.customers.getMyProfile();
+        const correlated =
+          this.mockServer.requests[this.mockServer.requests.length - 1].headers[
+            "x-correlation-id"
+          ];
+        await expectError(
+          () => client.transactions.getTransaction("999999"),
+          EscrowNotFoundError
+        );
+        assert.deepStrictEqual(seen, [
+          "before GET",
+          "after 200 true",
+          "before GET",
+          "error 404 true",
+        ]);
+        assert.strictEqual(correlated, "req-0");
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testTimeouts() {
+    const stub = await startSlowServer(2000);
+    const client = new EscrowClient("stub@example.com", "secret", false, {
+      baseURL: stub.url,
+      timeout: 200,
+      retry: { maxAttempts: 1 },
+    });
+
+    try {
+      await this.test("applies the client-wide timeout", async () => {
+        const started = Date.now();
+        await expectError(
+          () => client.customers.getMyProfile(),
+          EscrowTimeoutError
+        );
+        const elapsed = Date.now() - started;
+        assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+        return `after ${elapsed}ms`;
+      });
+
+      await this.test("an AbortSignal cancels a request", async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        const started = Date.now();
+        const error = await expectError(
+          () =>
+            client.transactions.getTransaction("1", {
+              signal: controller.signal,
+              timeout: 0,
+            }),
+          EscrowAbortError
+        );
+        const elapsed = Date.now() - started;
+        assert.ok(
+          !(error instanceof EscrowTimeoutError),
+          "reported as a timeout"
+        );
+        assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+        return `after ${elapsed}ms`;
+      });
+
+      await this.test(
+        "an aborted signal never reaches the server",
+        async () => {
+          const hits = stub.hits();
+          await expectError(
+            () => client.partner.listReports({ signal: AbortSignal.abort() }),
+            EscrowAbortError
+          );
+          assert.strictEqual(stub.hits(), hits);
+        }
+      );
+
+      await this.test("aborting cancels the wait between retries", () =>
+        withServer(startFlakyServer(5, { status: 503 }), async (flaky) => {
+          const retrying = new EscrowClient(
+            "stub@example.com",
+            "secret",
+            false,
+            {
+              baseURL: flaky.url,
+              retry: { maxAttempts: 5, baseDelay: 5000, jitter: 0 },
+            }
+          );
+          const started = Date.now();
+          await expectError(
+            () =>
+              retrying.customers.getMyProfile({
+                signal: AbortSignal.timeout(300),
+              }),
+            EscrowAbortError
+          );
+          const elapsed = Date.now() - started;
+          assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+          return `after ${flaky.hits()} attempt(s)`;
+        })
+      );
+    } finally {
+      await stub.close();
+    }
+  }
+
+  // ---------- higher-level helpers ----------
+
+  async testMilestones() {
+    const { milestones } = this.client;
+    let transaction = null;
+    const transactionId = () =>
+      (transaction && transaction.id) || skip("no milestone transaction");
+
+    await this.test(
+      "creates a three-milestone transaction",
+      async () => {
+        transaction = await milestones.createMilestoneTransaction({
+          buyer: this.email,
+          seller: this.testSellerEmail,
+          description: "Website redesign",
+          milestones: [
+            { title: "Design", amount: 1000, inspectionDays: 5 },
+            { title: "Build", amount: 2500 },
+            { title: "Launch", amount: 500 },
+          ],
+        });
+        const created = await milestones.listMilestones(transaction.id);
+        assert.strictEqual(created.length, 3);
+        assert.strictEqual(created[1].amount, "2500.00");
+        assert.ok(created.every((m) => !m.funded && !m.released));
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "acts on milestones by index and title",
+      async () => {
+        const id = transactionId();
+        this.mockServer.securePayment(id);
+        await milestones.shipMilestone(id, 0, {
+          carrier: "UPS",
+          trackingId: "1Z999",
+        });
+        await milestones.acceptMilestone(id, "Design");
+        await milestones.shipMilestone(id, "Build");
+        await milestones.receiveMilestone(id, 1);
+        await milestones.rejectMilestone(id, "Build", "Bugs found");
+        const states = (await milestones.listMilestones(id)).map(
+          (m) => `${m.title}:${m.status}:${m.funded}:${m.released}`
+        );
+        assert.deepStrictEqual(states, [
+          "Design:accepted:true:true",
+          "Build:rejected:true:false",
+          "Launch:pending_shipment:true:false",
+        ]);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "an unknown milestone raises EscrowNotFoundError",
+      async () => {
+        const id = transactionId();
+        await expectError(
+          () => milestones.acceptMilestone(id, "Maintenance"),
+          EscrowNotFoundError
+        );
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "maps web links to their actions",
+      async () => {
+        const links = await milestones.getMilestoneLinks(
+          transactionId(),
+          "Launch",
+          ["ship", "accept"]
+        );
+        assert.deepStrictEqual(Object.keys(links), ["ship", "accept"]);
+        assert.ok(links.accept.endsWith("/accept"));
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testSync() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-sync-"));
+    const filePath = path.join(tmpDir, "sync.json");
+    const sync = new TransactionSync(this.client, {
+      store: new JsonFileSyncStore(filePath),
+      perPage: 2,
+    });
+
+    try {
+      await this.test(
+        "mirrors every transaction into a JSON file",
+        async () => {
+          const first = await sync.sync();
+          const total = this.mockServer.transactions.size;
+          const created = first.changes.filter(
+            (c) => c.type === "transaction_created"
+          );
+          const stored = await new JsonFileSyncStore(
+            filePath
+          ).listTransactions();
+          assert.strictEqual(created.length, total);
+          assert.strictEqual(stored.length, total);
+          return `${total} transactions over ${first.pages} pages`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "turns server changes into events",
+        async () => {
+          const transaction = await this.client.transactions.createTransaction(
+            this.buildTestTransactionData()
+          );
+          await sync.sync();
+          const events = [];
+          const listener = (change) => {
+            if (change.transactionId === transaction.id) {
+              events.push(change.type);
+            }
+          };
+          sync.on("change", listener);
+          try {
+            const snapshot = this.mockServer.transactions.get(transaction.id);
+            snapshot.parties.forEach((party) => (party.agreed = true));
+            this.mockServer.securePayment(transaction.id);
+            await this.client.shipItem(transaction.id, "UPS", "1Z999");
+            const second = await sync.sync();
+            for (const type of [
+              "status_changed",
+              "party_agreed",
+              "payment_secured",
+              "item_shipped",
+              "timeline_entry",
+            ]) {
+              assert.ok(events.includes(type), `no ${type} event`);
+            }
+            assert.ok(
+              second.changes.every((c) => c.transactionId === transaction.id),
+              "changes reported for other transactions"
+            );
+          } finally {
+            sync.off("change", listener);
+          }
+          return `${events.length} change events`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "reports nothing when nothing changed",
+        async () => {
+          const third = await sync.sync();
+          assert.deepStrictEqual(third.changes, []);
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "resumes an interrupted pass from its checkpoint",
+        async () => {
+          const resumePath = path.join(tmpDir, "resume.json");
+          const controller = new AbortController();
+          const interrupted = new TransactionSync(this.client, {
+            store: new JsonFileSyncStore(resumePath),
+            perPage: 1,
+          });
+          let seen = 0;
+          // Aborts while page 3 is requested, after page 2 was checkpointed
+          interrupted.on("transaction_created", () => {
+            if (++seen === 2) controller.abort();
+          });
+          await expectError(
+            () => interrupted.sync({ signal: controller.signal }),
+            EscrowAbortError
+          );
+
+          const restarted = new TransactionSync(this.client, {
+            store: new JsonFileSyncStore(resumePath),
+            perPage: 1,
+          });
+          const resumed = await restarted.sync();
+          const recreated = resumed.changes.filter(
+            (c) => c.type === "transaction_created"
+          ).length;
+          const all = this.mockServer.transactions.size;
+          assert.ok(resumed.resumed, "did not resume");
+          assert.strictEqual(resumed.pages, all - 2);
+          assert.strictEqual(recreated, all - 2);
+          return `resumed at page 3 of ${all}`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "stores transactions through a SQLite handle",
+        async () => {
+          const db = fakeSqliteDb();
+          const store = new SqliteSyncStore(db, { tablePrefix: "t_" });
+          const sqlite = new TransactionSync(this.client, { store });
+          const result = await sqlite.sync();
+
+          assert.deepStrictEqual(
+            [...db.tables.keys()],
+            ["t_transactions", "t_timelines", "t_state"]
+          );
+          const rows = await store.listTransactions();
+          assert.strictEqual(rows.length, result.transactions);
+          const [first] = rows;
+          assert.deepStrictEqual(await store.getTransaction(first.id), first);
+          assert.ok(Array.isArray(await store.getTimeline(first.id)));
+          assert.strictEqual(await store.getTransaction(-1), null);
+          assert.strictEqual((await store.getState()).nextPage, null);
+
+          // Saving again updates the row in place
+          await store.saveTransaction({ ...first, description: "Renamed" });
+          assert.strictEqual(
+            (await store.getTransaction(first.id)).description,
+            "Renamed"
+          );
+          assert.strictEqual(
+            (await store.listTransactions()).length,
+            rows.length
+          );
+          // Tables are created once, on first use
+          assert.strictEqual(
+            db.statements.filter((sql) => sql.includes("CREATE TABLE")).length,
+            3
+          );
+          return `${rows.length} rows`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "stores transactions in SQLite",
+        async () => {
+          let DatabaseSync = null;
+          try {
+            ({ DatabaseSync } = require("node:sqlite"));
+          } catch (error) {
+            // node:sqlite ships with Node 22.5+
+          }
+          if (!DatabaseSync) skip("node:sqlite not available");
+
+          const sqlite = new TransactionSync(this.client, {
+            store: new SqliteSyncStore(new DatabaseSync(":memory:")),
+          });
+          const result = await sqlite.sync();
+          const rows = await sqlite.store.listTransactions();
+          assert.strictEqual(rows.length, result.transactions);
+        },
+        { targets: MOCK }
+      );
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  async testMoney() {
+    await this.test("adds, multiplies and allocates exactly", () => {
+      const sum = Money.sum(["0.10", "0.20", 0.3]);
+      const split = Money.of("100.00").allocate([1, 1, 1]).map(String);
+      assert.strictEqual(sum.toString(), "0.60");
+      assert.strictEqual(
+        Money.of("1250.00", "eur").multiply("0.0325").toString(),
+        "40.63"
+      );
+      assert.deepStrictEqual(split, ["33.34", "33.33", "33.33"]);
+      assert.strictEqual(Money.of(1.005).toString(), "1.01");
+    });
+
+    await this.test("rejects mixed currencies and over-precise amounts", () => {
+      assert.throws(
+        () => Money.of("5", "usd").add(Money.of("5", "eur")),
+        TypeError
+      );
+      assert.throws(() => Money.of("19.999"), RangeError);
+      assert.throws(() => Money.of("10", "jpy"), RangeError);
+    });
+
+    await this.test("every path sends amounts alike", async () => {
+      let sentBody = null;
+      const captureFetch = async (url, init) => {
+        sentBody = JSON.parse(init.body);
+        return new Response(JSON.stringify({ id: 1 }), {
+          status: 201,
+          headers: { "Content-Type": "application/json" },
+        });
+      };
+      // Its own client: the shared one may be replaying a cassette
+      const client = new EscrowClient("buyer@example.com", "password", false, {
+        fetch: captureFetch,
+      });
+      await client.createBasicTransaction(
+        "buyer@example.com",
+        "seller@example.com",
+        "Camera",
+        "Vintage camera",
+        500,
+        "usd"
+      );
+      const built = new TransactionBuilder()
+        .buyer("buyer@example.com")
+        .seller("seller@example.com")
+        .addItem({ title: "Camera", amount: Money.of("500") })
+        .build();
+
+      assert.strictEqual(sentBody.items[0].schedule[0].amount, "500.00");
+      assert.strictEqual(built.items[0].schedule[0].amount, "500.00");
+      assert.strictEqual(EscrowUtils.formatAmount(500), "500.00");
+    });
+  }
+
+  async testFeeCalculator() {
+    const payload = new TransactionBuilder()
+      .currency("usd")
+      .buyer("buyer@example.com")
+      .seller("seller@example.com")
+      .broker("broker@example.com")
+      .feeSplit({ buyer: 0.25, seller: 0.75 })
+      .addItem({ title: "Camera", amount: "1000.00" })
+      .addBrokerCommission("150.00")
+      .addShippingFee("20.00")
+      .build();
+
+    await this.test("quotes each party of a brokered transaction", () => {
+      const quote = new FeeCalculator().quote(payload);
+      const summary = quote.parties.map(
+        (party) => `${party.role} ${party.paid}/${party.escrowFee}/${party.net}`
+      );
+      assert.strictEqual(quote.totals.escrowFee.toString(), "32.50");
+      assert.deepStrictEqual(summary, [
+        "buyer 1170.00/8.13/-1178.13",
+        "seller 0.00/24.37/995.63",
+        "broker 0.00/0.00/150.00",
+      ]);
+    });
+
+    await this.test("applies the minimum fee and a custom schedule", () => {
+      const small = new TransactionBuilder()
+        .buyer("buyer@example.com")
+        .seller("seller@example.com")
+        .addItem({ title: "Book", amount: "100.00" })
+        .build();
+      const minimumFee = new FeeCalculator().quote(small).totals.escrowFee;
+      const customFee = new FeeCalculator({
+        tiers: { default: [{ upTo: null, rate: "0.01" }] },
+        minimum: "0",
+      }).quote(small).totals.escrowFee;
+      assert.strictEqual(minimumFee.toString(), "25.00");
+      assert.strictEqual(customFee.toString(), "1.00");
+    });
+
+    await this.test(
+      "compares a quote with the created transaction",
+      async () => {
+        const created = await this.client.transactions.createTransaction(
+          payload
+        );
+        // The mock charges fixed amounts (DEFAULT_ESCROW_FEES in
+        // mockServer.js), not a FeeCalculator quote
+        assert.deepStrictEqual(
+          created.items[0].fees.map((fee) => fee.amount),
+          ["8.13", "24.37"]
+        );
+        const same = new FeeCalculator().compare(payload, created);
+        const other = new FeeCalculator({
+          tiers: { default: [{ upTo: null, rate: "0.03" }] },
+        }).compare(payload, created);
+        const fields = other.differences.map((d) => d.field);
+        assert.deepStrictEqual(same.differences, []);
+        assert.ok(same.matches && !other.matches);
+        assert.ok(fields.includes("items[0].escrowFee"));
+        assert.ok(fields.includes("parties[seller@example.com].net"));
+        return `${fields.length} differences with another schedule`;
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testPaymentFlow() {
+    const payments = this.client.payments;
+    let paymentId = null;
+    const transactionId = () => paymentId || skip("no payment transaction");
+
+    await this.test(
+      "starts wire and PayPal payments",
+      async () => {
+        ({ id: paymentId } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        ));
+        const wire = await payments.startPayment(paymentId);
+        const paypal = await payments.startPayment(paymentId, {
+          methods: ["paypal", "wire_transfer"],
+          returnUrl: "https://example.com/paid",
+        });
+        assert.strictEqual(wire.status, "awaiting_wire");
+        assert.strictEqual(wire.amount, "450.00");
+        assert.strictEqual(wire.wire.reference, `Escrow ${paymentId}`);
+        assert.strictEqual(paypal.status, "redirect");
+        assert.ok(paypal.redirectUrl.startsWith("https://paypal.mock/"));
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "spends an idempotency key on the selection only",
+      async () => {
+        const { id } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const idempotencyKey = `pay-${id}`;
+        const first = await payments.startPayment(id, "wire_transfer", {
+          idempotencyKey,
+        });
+        const sent = this.mockServer.requests.length;
+        // A retry replays the selection and only repeats the reads
+        const retry = await payments.startPayment(id, "wire_transfer", {
+          idempotencyKey,
+        });
+        assert.deepStrictEqual(retry, first);
+        const repeated = this.mockServer.requests.slice(sent);
+        assert.deepStrictEqual(
+          repeated.map(({ method }) => method),
+          ["GET", "GET"]
+        );
+        assert.ok(
+          repeated.every(({ headers }) => !headers["idempotency-key"]),
+          "a read carried the idempotency key"
+        );
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "falls back to a method the transaction offers",
+      async () => {
+        const id = transactionId();
+        const offered = this.mockServer.offeredPaymentMethods;
+        this.mockServer.offeredPaymentMethods = ["credit_card"];
+        try {
+          const card = await payments.startPayment(id, [
+            "paypal",
+            "credit_card",
+          ]);
+          assert.strictEqual(card.method, "credit_card");
+          assert.strictEqual(card.status, "pending");
+          await expectError(
+            () => payments.startPayment(id, "wire_transfer"),
+            EscrowValidationError
+          );
+        } finally {
+          this.mockServer.offeredPaymentMethods = offered;
+        }
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "waits until the transaction is funded",
+      async () => {
+        const id = transactionId();
+        let polls = 0;
+        const timer = setTimeout(() => this.mockServer.securePayment(id), 50);
+        try {
+          const funded = await payments.waitUntilFunded(id, {
+            pollInterval: 20,
+            onPoll: () => polls++,
+          });
+          assert.ok(funded.items[0].schedule[0].status.secured);
+          assert.ok(polls > 1, "funded on the first poll");
+        } finally {
+          clearTimeout(timer);
+        }
+        return `after ${polls} polls`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "gives up waiting after the timeout",
+      async () => {
+        const unfunded = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        await expectError(
+          () =>
+            payments.waitUntilFunded(unfunded.id, {
+              pollInterval: 20,
+              timeout: 60,
+            }),
+          EscrowTimeoutError
+        );
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testDisbursementMethods() {
+    const ach = new AchDisbursementMethod({
+      accountName: "Test Seller",
+      accountNumber: "998877665544",
+      routingNumber: "121000249",
+    });
+    let disbursementId = null;
+
+    await this.test("validates ACH and wire details", () => {
+      const wire = new WireDisbursementMethod({
+        currency: "eur",
+        accountName: "Test Seller",
+        bankName: "Deutsche Bank",
+        swiftCode: "DEUTDEFF",
+        iban: "DE89 3704 0044 0532 0130 00",
+      });
+      const badWire = new WireDisbursementMethod({
+        currency: "gbp",
+        accountName: "Test Seller",
+        bankName: "Test Bank",
+        swiftCode: "NOT A BIC",
+        iban: "GB00 WEST 1234 5698 7654 32",
+      });
+      assert.deepStrictEqual(Object.keys(ach.validate()), ["routing_number"]);
+      assert.deepStrictEqual(wire.validate(), {});
+      assert.deepStrictEqual(Object.keys(badWire.validate()), [
+        "iban",
+        "swift_code",
+      ]);
+      assert.strictEqual(wire.toJSON().iban, "DE89370400440532013000");
+    });
+
+    await this.test("chooses a saved method per currency", () => {
+      const saved = parseDisbursementMethods({
+        saved_disbursement_methods: [
+          {
+            id: 1,
+            type: "international_wire",
+            currency: "eur",
+            iban: "****3000",
+          },
+          { id: 2, type: "international_wire", currency: "usd" },
+          { id: 3, type: "ach", account_number: "****5544" },
+        ],
+      });
+      const forUsd = chooseDisbursementMethod(saved, { currency: "usd" });
+      const forEur = chooseDisbursementMethod(saved, { currency: "eur" });
+      assert.strictEqual(forUsd.id, 3);
+      assert.strictEqual(forUsd.lastFour, "5544");
+      assert.strictEqual(forEur.id, 1);
+      assert.strictEqual(
+        chooseDisbursementMethod(saved, { currency: "cad" }),
+        null
+      );
+    });
+
+    await this.test("never takes another payout type for a wire", () => {
+      const saved = parseDisbursementMethods([
+        { id: 4, type: "paypal", email: "seller@example.com" },
+        { id: 5, type: "wire_transfer", currency: "eur" },
+      ]);
+      assert.deepStrictEqual(
+        saved.map((method) => method.method),
+        ["paypal", "international_wire"]
+      );
+      assert.strictEqual(
+        chooseDisbursementMethod(saved, { currency: "gbp" }),
+        null
+      );
+      const paypal = chooseDisbursementMethod(
+        saved,
+        { currency: "gbp" },
+        { prefer: ["paypal"] }
+      );
+      assert.strictEqual(paypal.id, 4);
+    });
+
+    await this.test(
+      "invalid details never reach the API",
+      async () => {
+        ({ id: disbursementId } =
+          await this.client.transactions.createTransaction(
+            this.buildTestTransactionData()
+          ));
+        const sent = this.mockServer.requests.length;
+        await expectError(
+          () =>
+            this.client.disbursements.setDisbursementMethod(
+              disbursementId,
+              ach
+            ),
+          EscrowValidationError
+        );
+        assert.strictEqual(this.mockServer.requests.length, sent);
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "pays out to a saved method",
+      async () => {
+        if (!disbursementId) skip("no disbursement transaction");
+        const stored = this.mockServer.saveDisbursementMethod({
+          type: "ach",
+          account_name: "Test Seller",
+          account_number: "998877665544",
+          routing_number: "121000248",
+        });
+        const sent = this.mockServer.requests.length;
+        const { method } =
+          await this.client.disbursements.useSavedDisbursementMethod(
+            disbursementId,
+            {},
+            { idempotencyKey: `payout-${disbursementId}` }
+          );
+        assert.strictEqual(method.id, stored.id);
+        // Only the payout itself carries the key
+        assert.deepStrictEqual(
+          this.mockServer.requests
+            .slice(sent)
+            .filter(({ headers }) => headers["idempotency-key"])
+            .map(({ method }) => method),
+          ["PATCH"]
+        );
+        assert.strictEqual(
+          this.mockServer.transactions.get(disbursementId).disbursement_method
+            .id,
+          stored.id
+        );
+        return `saved method ${method.id} (****${method.lastFour})`;
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testCassettes() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cassette-"));
+    const filePath = path.join(tmpDir, "cassette.json");
+    // Replays need no server, and match recordings made with any account
+    const replayClient = () =>
+      new EscrowClient("someone@example.org", "other-password", false, {
+        cassette: Cassette.replay(filePath),
+      });
+    let recorded = null;
+
+    try {
+      await this.test(
+        "records calls with personal data scrubbed",
+        async () => {
+          const client = new EscrowClient(this.email, this.password, false, {
+            baseURL: this.client.baseURL,
+            cassette: Cassette.record(filePath),
+          });
+          const transaction = await client.transactions.createTransaction(
+            this.buildTestTransactionData()
+          );
+          const wire = await client.payments.getWireDetails(transaction.id);
+          await expectError(
+            () => client.transactions.getTransaction(999999999),
+            EscrowNotFoundError
+          );
+          recorded = { transaction, wire };
+
+          const content = fs.readFileSync(filePath, "utf8");
+          const { interactions } = JSON.parse(content);
+          const leaked = [
+            this.email,
+            this.testSellerEmail,
+            this.password,
+            wire.account_number,
+          ].filter((secret) => content.includes(secret));
+          assert.strictEqual(interactions.length, 3);
+          assert.deepStrictEqual(leaked, [], "personal data on the cassette");
+          assert.ok(content.includes("customer1@example.com"), "no pseudonym");
+          return `${interactions.length} interactions`;
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "replays results and errors without a server",
+        async () => {
+          if (!recorded) skip("nothing recorded");
+          const client = replayClient();
+          const transaction = await client.transactions.createTransaction(
+            this.buildTestTransactionData()
+          );
+          const wire = await client.payments.getWireDetails(transaction.id);
+          const error = await expectError(
+            () => client.transactions.getTransaction(999999999),
+            EscrowNotFoundError
+          );
+          assert.strictEqual(transaction.id, recorded.transaction.id);
+          assert.strictEqual(wire.account_number, "[REDACTED]");
+          assert.strictEqual(error.statusCode, 404);
+        },
+        { targets: MOCK }
+      );
+
+      await this.test(
+        "fails loudly on calls it did not record",
+        async () => {
+          if (!recorded) skip("nothing recorded");
+          const client = replayClient();
+          const payload = this.buildTestTransactionData();
+          await client.transactions.createTransaction(payload);
+          const unknown = await expectError(
+            () => client.transactions.getTimeline(recorded.transaction.id),
+            EscrowCassetteError
+          );
+          await expectError(
+            () => client.transactions.createTransaction(payload),
+            EscrowCassetteError
+          );
+          const changed = await expectError(
+            () =>
+              replayClient().transactions.createTransaction({
+                ...payload,
+                currency: "eur",
+              }),
+            EscrowCassetteError
+          );
+          assert.ok(unknown.message.includes("no recording of GET"));
+          assert.ok(changed.message.includes("different body"));
+        },
+        { targets: MOCK }
+      );
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  async testSchemas() {
+    const payload = {
+      id: 1,
+      reference: null,
+      description: "Camera and lens",
+      currency: "usd",
+      creation_date: "2026-01-05T10:00:00Z",
+      is_cancelled: false,
+      is_draft: false,
+      parties: [
+        { customer: "buyer@example.com", role: "buyer", agreed: true },
+        { customer: "seller@example.com", role: "seller", agreed: true },
+      ],
+      items: [
+        {
+          id: 11,
+          title: "Camera",
+          schedule: [
+            {
+              amount: "1000.00",
+              payer_customer: "buyer@example.com",
+              beneficiary_customer: "seller@example.com",
+              status: { secured: true, disbursed_to_beneficiary: false },
+            },
+          ],
+          status: { shipped: true, received: false },
+        },
+        {
+          id: 12,
+          title: "Lens",
+          schedule: [
+            {
+              amount: 250.5,
+              payer_customer: "buyer@example.com",
+              beneficiary_customer: "seller@example.com",
+              status: { secured: true, disbursed_to_beneficiary: false },
+            },
+          ],
+          status: { shipped: false },
+        },
+      ],
+    };
+    // A client answered by `body`, whatever it asks
+    const stubClient = (body, options) =>
+      new EscrowClient("buyer@example.com", "password", false, {
+        ...options,
+        fetch: async () =>
+          new Response(JSON.stringify(body), {
+            status: 200,
+            headers: { "Content-Type": "application/json" },
+          }),
+      });
+
+    await this.test("validates payloads field by field", () => {
+      assert.deepStrictEqual(validate(payload, "Transaction"), []);
+      const issues = validate(
+        {
+          ...payload,
+          id: "1",
+          currency: "btc",
+          items: [{ ...payload.items[0], schedule: [{ amount: "ten" }] }],
+          tags: [],
+        },
+        "Transaction"
+      );
+      const found = issues.map(({ path, kind }) => `${path}:${kind}`);
+      assert.deepStrictEqual(found, [
+        "id:type",
+        "currency:enum",
+        "items[0].schedule[0].payer_customer:missing",
+        "items[0].schedule[0].beneficiary_customer:missing",
+        "items[0].schedule[0].amount:format",
+        "tags:unexpected",
+      ]);
+      assert.strictEqual(
+        jsonSchema("Item").definitions.Schedule.type,
+        "object"
+      );
+      return `${issues.length} issues`;
+    });
+
+    await this.test(
+      "strict mode reports drift and rejects mismatches",
+      async () => {
+        const drifted = { ...payload, escrow_fee_total: "32.50" };
+        const reports = [];
+        const transaction = await stubClient(drifted, {
+          strict: true,
+          onDrift: (drift) => reports.push(drift),
+        }).transactions.getTransaction(1);
+        assert.strictEqual(transaction.id, 1);
+        assert.strictEqual(reports.length, 1);
+        assert.strictEqual(reports[0].schema, "Transaction");
+        assert.deepStrictEqual(
+          reports[0].issues.map(({ path }) => path),
+          ["escrow_fee_total"]
+        );
+
+        // New fields alone never fail a call; a changed type does
+        await stubClient(drifted, {
+          strict: "throw",
+          onDrift: () => {},
+        }).transactions.getTransaction(1);
+        const error = await expectError(
+          () =>
+            stubClient(
+              { ...payload, items: "none" },
+              { strict: "throw", onDrift: () => {} }
+            ).transactions.getTransaction(1),
+          EscrowSchemaError
+        );
+        assert.deepStrictEqual(
+          error.issues.map(({ path }) => path),
+          ["items"]
+        );
+        return error.message;
+      }
+    );
+
+    await this.test("models answer the usual questions", () => {
+      const transaction = Transaction.from(payload);
+      const [camera, lens] = transaction.items;
+      assert.strictEqual(transaction.buyer.email, "buyer@example.com");
+      assert.strictEqual(transaction.seller.role, "seller");
+      assert.strictEqual(transaction.broker, null);
+      assert.strictEqual(transaction.totalAmount().toString(), "1250.50");
+      assert.strictEqual(transaction.state, "pending_shipment");
+      assert.ok(transaction.isFunded);
+      assert.ok(camera.isShipped && !lens.isShipped);
+      assert.strictEqual(transaction.findItem("Lens"), lens);
+      assert.deepStrictEqual(transaction.seller.allowedActions, ["ship"]);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(transaction)), payload);
+    });
+
+    await this.test(
+      "a client with models returns model instances",
+      async () => {
+        const client = new EscrowClient(this.email, this.password, false, {
+          baseURL: this.client.baseURL,
+          models: true,
+        });
+        const created = await client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const { transactions } = await client.transactions.listTransactions();
+        const timeline = await client.transactions.getTimeline(created.id);
+        assert.ok(created instanceof Transaction);
+        assert.ok(transactions.every((tx) => tx instanceof Transaction));
+        assert.ok(
+          timeline.timeline_entries.every(
+            (entry) => entry instanceof TimelineEntry
+          )
+        );
+        assert.strictEqual(created.buyer.email, this.email);
+        return `transaction ${created.id}: ${created.state}, ${created
+          .totalAmount()
+          .toString()}`;
+      },
+      { targets: MOCK }
+    );
+  }
+
+  async testBulk() {
+    const createTransactions = async (count) => {
+      const ids = [];
+      for (let i = 0; i < count; i++) {
+        const transaction = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        ids.push(transaction.id);
+      }
+      return ids;
+    };
+    const patches = () =>
+      this.mockServer.requests.filter(({ method }) => method === "PATCH")
+        .length;
+
+    await this.test(
+      "cancels many transactions a few at a time",
+      async () => {
+        const ids = await createTransactions(6);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const client = new EscrowClient(this.email, this.password, false, {
+          baseURL: this.client.baseURL,
+          interceptors: [
+            {
+              beforeRequest: () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+              },
+              afterResponse: () => inFlight--,
+              onError: () => inFlight--,
+            },
+          ],
+        });
+        const settled = [];
+        const summary = await client.transactions.bulk(ids, "cancel", {
+          concurrency: 2,
+          onResult: ({ id }) => settled.push(id),
+        });
+
+        assert.strictEqual(summary.succeeded, 6);
+        assert.strictEqual(maxInFlight, 2);
+        assert.strictEqual(settled.length, 6);
+        assert.deepStrictEqual(
+          summary.results.map(({ id }) => id),
+          ids
+        );
+        assert.ok(
+          ids.every((id) => this.mockServer.transactions.get(id).is_cancelled)
+        );
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "reports each failure and carries on unless told to stop",
+      async () => {
+        const [first, second] = await createTransactions(2);
+        const ids = [first, 999999999, second];
+        const summary = await this.client.transactions.bulk(ids, {
+          action: "cancel",
+        });
+        assert.deepStrictEqual(
+          summary.results.map(({ status }) => status),
+          ["succeeded", "failed", "succeeded"]
+        );
+        assert.ok(summary.results[1].error instanceof EscrowNotFoundError);
+
+        // Both are cancelled by now, so cancelling again fails
+        const stopped = await this.client.transactions.bulk(ids, "cancel", {
+          concurrency: 1,
+          continueOnError: false,
+        });
+        assert.deepStrictEqual(
+          stopped.results.map(({ status }) => status),
+          ["failed", "skipped", "skipped"]
+        );
+        return `${summary.failed} failed, then ${stopped.skipped} skipped`;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test(
+      "a dry run only checks transitions",
+      async () => {
+        const [open, cancelled] = await createTransactions(2);
+        await this.client.cancelTransaction(cancelled);
+        const patchesBefore = patches();
+
+        const summary = await this.client.transactions.bulk(
+          [open, cancelled],
+          "cancel",
+          { dryRun: true }
+        );
+        assert.strictEqual(patches(), patchesBefore);
+        assert.strictEqual(summary.allowed, 1);
+        assert.strictEqual(summary.results[0].status, "allowed");
+        assert.ok(summary.results[1].error instanceof EscrowTransitionError);
+        return summary.results[1].error.message;
+      },
+      { targets: MOCK }
+    );
+
+    await this.test("a timed out item fails alone", async () => {
+      // Transaction 3 never answers; the others succeed at once
+      const fetch = (url, init) =>
+        url.includes("/transaction/3")
+          ? new Promise((resolve, reject) =>
+              init.signal.addEventListener("abort", () =>
+                reject(init.signal.reason)
+              )
+            )
+          : Promise.resolve(
+              new Response("{}", {
+                status: 200,
+                headers: { "Content-Type": "application/json" },
+              })
+            );
+      const client = new EscrowClient("stub@example.com", "secret", false, {
+        fetch,
+        timeout: 50,
+        retry: { maxAttempts: 1 },
+      });
+      const summary = await client.transactions.bulk(
+        [1, 2, 3, 4, 5, 6],
+        "cancel",
+        { concurrency: 2 }
+      );
+      assert.strictEqual(summary.succeeded, 5);
+      assert.strictEqual(summary.skipped, 0);
+      assert.ok(summary.results[2].error instanceof EscrowTimeoutError);
+      return `${summary.succeeded} succeeded, ${summary.failed} timed out`;
+    });
+
+    await this.test("aborting the signal stops the batch", async () => {
+      const controller = new AbortController();
+      const client = new EscrowClient("stub@example.com", "secret", false, {
+        fetch: async () =>
+          new Response("{}", {
+            status: 200,
+            headers: { "Content-Type": "application/json" },
+          }),
+      });
+      const summary = await client.transactions.bulk([1, 2, 3, 4], "cancel", {
+        concurrency: 1,
+        signal: controller.signal,
+        onResult: () => controller.abort(),
+      });
+      assert.strictEqual(summary.succeeded, 1);
+      assert.strictEqual(summary.skipped, 3);
+    });
+
+    await this.test("one rate limit covers every sub-client", async () => {
+      const bucket = new TokenBucket({ rate: 10, burst: 2 });
+      const waits = [bucket.reserve(), bucket.reserve(), bucket.reserve()];
+      assert.deepStrictEqual(
+        waits.map((wait) => Math.round(wait / 10) * 10),
+        [0, 0, 100]
+      );
+
+      const client = new EscrowClient("stub@example.com", "secret", false, {
+        rateLimit: { rate: 20, burst: 2 },
+        fetch: async () =>
+          new Response("{}", {
+            status: 200,
+            headers: { "Content-Type": "application/json" },
+          }),
+      });
+      assert.strictEqual(
+        client.partner.transport.rateLimiter,
+        client.customers.transport.rateLimiter
+      );
+      const started = Date.now();
+      await client.customers.getMyProfile();
+      await client.transactions.getTransaction(1);
+      await client.partner.listReports();
+      await client.payments.getPaymentMethods(1);
+      const elapsed = Date.now() - started;
+      // Two requests from the burst, then one every 50ms
+      assert.ok(elapsed >= 95, `4 requests took ${elapsed}ms`);
+      return `4 requests in ${elapsed}ms`;
+    });
+  }
+
+  async testAuditTrail() {
+    const buyer = "buyer@example.com";
+    const seller = "seller@example.com";
+    const transaction = {
+      id: 42,
+      currency: "usd",
+      description: "Camera | lens <script>alert(1)</script>",
+      creation_date: "2026-01-05T09:00:00Z",
+      parties: [
+        { customer: buyer, role: "buyer", agreed: true, initiator: true },
+        { customer: seller, role: "seller", agreed: true },
+      ],
+      payment_method: "wire_transfer",
+      items: [
+        {
+          id: 1,
+          title: "Camera",
+          schedule: [
+            {
+              amount: "1200.00",
+              payer_customer: buyer,
+              beneficiary_customer: seller,
+              status: { secured: true, disbursed_to_beneficiary: true },
+            },
+          ],
+          status: { shipped: true, received: true, accepted: true },
+          shipping_information: {
+            tracking_information: { carrier: "UPS", tracking_id: "1Z999" },
+          },
+        },
+      ],
+    };
+    const timeline = {
+      timeline_entries: [
+        { date: "2026-01-06T12:00:00Z", message: "Item shipped" },
+        { date: "2026-01-05T09:00:00Z", message: "Transaction created" },
+        { date: "2026-01-05T10:00:00Z", message: `${seller} agreed` },
+        { date: "2026-01-05T11:00:00Z", message: "Payment secured" },
+        { date: "2026-01-07T08:00:00Z", message: "Item accepted" },
+      ],
+    };
+
+    await this.test(
+      "merges the timeline with the transaction state",
+      async () => {
+        const trail = buildAuditTrail(transaction, timeline);
+        assert.deepStrictEqual(
+          trail.events.map(({ kind }) => kind),
+          [
+            "created",
+            "agreed",
+            "agreed",
+            "payment_method",
+            "secured",
+            "shipped",
+            "received",
+            "accepted",
+            "disbursed",
+          ]
+        );
+        const shipped = trail.events.find(({ kind }) => kind === "shipped");
+        assert.strictEqual(shipped.at, "2026-01-06T12:00:00.000Z");
+        assert.strictEqual(shipped.actor, seller);
+        assert.strictEqual(shipped.source, "timeline+state");
+        assert.deepStrictEqual(shipped.details, {
+          item: "Camera",
+          carrier: "UPS",
+          tracking_id: "1Z999",
+        });
+        // The buyer's agreement is not on the timeline, so it has no time
+        const agreed = trail.events.filter(({ kind }) => kind === "agreed");
+        assert.deepStrictEqual(
+          agreed.map(({ actor, at }) => [actor, at]),
+          [
+            [seller, "2026-01-05T10:00:00.000Z"],
+            [buyer, null],
+          ]
+        );
+        assert.strictEqual(trail.transaction.total, "1200.00 USD");
+        assert.strictEqual(trail.transaction.status, "completed");
+        return `${trail.events.length} events`;
+      }
+    );
+
+    await this.test("renders Markdown, CSV, JSON Lines and HTML", async () => {
+      const trail = buildAuditTrail(transaction, timeline);
+
+      const markdown = renderAuditTrail(trail, "markdown");
+      assert.ok(markdown.includes("Camera \\| lens"));
+      assert.ok(markdown.includes("shipped via UPS, tracking 1Z999"));
+
+      const rows = EscrowUtils.parseCSV(renderAuditTrail(trail, "csv"));
+      assert.strictEqual(rows.length, trail.events.length);
+      assert.deepStrictEqual(Object.keys(rows[0]), [
+        "time",
+        "kind",
+        "actor",
+        "role",
+        "summary",
+        "details",
+      ]);
+      assert.strictEqual(
+        rows[5].summary,
+        "Camera shipped via UPS, tracking 1Z999"
+      );
+
+      const lines = renderAuditTrail(trail, "jsonl").trim().split("\n");
+      const events = lines.map((line) => JSON.parse(line));
+      assert.ok(events.every((event) => event.transaction_id === 42));
+      assert.strictEqual(events[0].kind, "created");
+
+      const html = renderAuditTrail(trail, "html");
+      assert.ok(html.startsWith("<!DOCTYPE html>"));
+      assert.ok(!html.includes("<script>"));
+      assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+
+      assert.throws(() => renderAuditTrail(trail, "pdf"), /Unknown audit/);
+    });
+
+    await this.test("keeps spreadsheet formulas out of the CSV", () => {
+      const trail = buildAuditTrail(
+        {
+          ...transaction,
+          items: [
+            {
+              ...transaction.items[0],
+              status: { shipped: true, rejected: true },
+              rejection_information: {
+                rejection_reason: '=HYPERLINK("https://evil.example","x")',
+              },
+            },
+          ],
+        },
+        [
+          { date: "2026-01-06T12:00:00Z", message: "@SUM(1+1)" },
+          { date: "2026-01-06T13:00:00Z", message: "-2+3" },
+          { date: "2026-01-07T08:00:00Z", message: "Item rejected" },
+        ]
+      );
+      const rows = EscrowUtils.parseCSV(renderAuditTrail(trail, "csv"));
+      const cells = rows.flatMap((row) => Object.values(row).map(String));
+      assert.ok(cells.includes("'@SUM(1+1)"));
+      assert.ok(cells.includes("'-2+3"));
+      const rejected = rows.find((row) => row.kind === "rejected");
+      assert.ok(
+        rejected.details.includes("reason: =HYPERLINK"),
+        rejected.details
+      );
+      assert.ok(
+        cells.every((cell) => !/^[=+\-@]/.test(cell)),
+        "a cell starts with a formula character"
+      );
+    });
+
+    await this.test(
+      "builds the trail of a live transaction",
+      async () => {
+        const { id } = await this.client.transactions.createTransaction(
+          this.buildTestTransactionData()
+        );
+        const snapshot = this.mockServer.transactions.get(id);
+        snapshot.parties.forEach((party) => (party.agreed = true));
+        this.mockServer.securePayment(id);
+        await this.client.shipItem(id, "FedEx", "7712");
+
+        const trail = await this.client.getAuditTrail(id);
+        const kinds = trail.events.map(({ kind }) => kind);
+        for (const kind of ["created", "agreed", "secured", "shipped"]) {
+          assert.ok(kinds.includes(kind), `no ${kind} event`);
+        }
+        const shipped = trail.events.find(({ kind }) => kind === "shipped");
+        assert.strictEqual(shipped.details.carrier, "FedEx");
+        assert.ok(shipped.at, "shipment has no time");
+        return `${trail.events.length} events`;
+      },
+      { targets: MOCK }
+    );
+  }
+
+  // ---------- helpers ----------
+
+  canCreateTestTransaction() {
+    // Check if we have test buyer/seller emails configured
+    return this.testBuyerEmail && this.testSellerEmail && this.isSandbox;
+  }
+
+  buildTestTransactionData() {
+    // Buyer is the authenticated user so the test can act on the transaction
+    return new TransactionBuilder()
+      .currency("usd")
+      .description("Test Transaction - API Integration Testing")
+      .buyer(this.email)
+      .seller(this.testSellerEmail)
+      .addItem({
+        title: "Test Item - Digital Camera",
+        description: "Professional digital camera for testing purposes",
+        amount: 450,
+        inspectionDays: 3,
+      })
+      .build();
+  }
+
+  async createTestTransaction() {
+    return await this.client.transactions.createTransaction(
+      this.buildTestTransactionData()
+    );
+  }
+
+  async cleanup() {
+    // Cancel the live test transaction to avoid accumulation
+    if (this.testTransactionId && this.target === "live") {
+      console.log(
+        `\n🧹 Cleaning up test transaction ${this.testTransactionId}...`
+      );
+      try {
+        await this.client.transactions.performAction(this.testTransactionId, {
+          action: "cancel",
+        });
+        console.log("  ✅ Test transaction cancelled successfully");
+      } catch (error) {
+        console.log("  ⚠️  Cleanup failed:", error.message);
+        console.log("  💡 Test transaction may need manual cleanup in sandbox");
+      }
+    }
+
+    if (this.recording) {
+      const { filePath, interactions } = this.recording;
+      console.log(
+        `📼 Recorded ${(interactions || []).length} interactions to ${filePath}`
+      );
+    }
+
+    if (this.mockServer) {
+      await this.mockServer.stop();
+    }
+  }
+}
+
+// ================================
+// 3. LOCAL STUB SERVERS
+// ================================
+
+// Run fn(server) once the stub `starting` resolves to is up, then close it
+async function withServer(starting, fn) {
+  const server = await starting;
+  try {
+    return await fn(server);
+  } finally {
+    await server.close();
+  }
+}
+
+// Start a local HTTP stub that fails `failures` times with the given
+// response, then answers every request with 200 {}
+async function startFlakyServer(failures, failure = {}) {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    req.resume();
+    if (hits <= failures) {
+      res.writeHead(failure.status || 500, {
+        "Content-Type": "application/json",
+        ...(failure.headers || {}),
+      });
+      res.end(JSON.stringify({ error: "Stub failure" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("{}");
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    hits: () => hits,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Local stub answering every request after `delay` ms; close() also drops
+// requests still waiting for their answer
+async function startSlowServer(delay) {
+  let hits = 0;
+  const timers = new Set();
+  const server = http.createServer((req, res) => {
+    hits++;
+    req.resume();
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end("{}");
+    }, delay);
+    timers.add(timer);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    hits: () => hits,
+    close: () => {
+      timers.forEach(clearTimeout);
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ================================
+// 4. FAKE SQLITE HANDLE
+// ================================
+
+// Stands in for a better-sqlite3 or node:sqlite handle: exec() and
+// prepare() with get/all/run, for the statements SqliteSyncStore issues, so
+// the store is covered on Node versions without node:sqlite. `statements`
+// records every SQL string it was given.
+function fakeSqliteDb() {
+  const tables = new Map();
+  const statements = [];
+  const tableOf = (sql) => {
+    const [, name] = sql.match(/\b(?:FROM|INTO)\s+(\w+)/);
+    if (!tables.has(name)) throw new Error(`no such table: ${name}`);
+    return tables.get(name);
+  };
+
+  return {
+    tables,
+    statements,
+    exec(sql) {
+      statements.push(sql);
+      const [, name] = sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/);
+      if (!tables.has(name)) tables.set(name, new Map());
+    },
+    prepare(sql) {
+      statements.push(sql);
+      const rows = tableOf(sql);
+      return {
+        get: (id) => rows.get(id),
+        // ORDER BY id on a TEXT column: string order
+        all: () =>
+          [...rows.keys()].sort().map((id) => ({ data: rows.get(id).data })),
+        run: (id, data, updatedAt) => {
+          rows.set(id, { id, data, updated_at: updatedAt });
+        },
+      };
+    },
+  };
+}
+
+// ================================
+// 5. MAIN
+// ================================
+
+// Resolves to the exit code: 0 when no test failed, 1 on failures or a
+// fatal error, 2 on bad arguments
+async function main(argv = process.argv.slice(2)) {
+  let flags;
+  try {
+    ({ flags } = cli.parseArgs(argv));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const groups = String(flags.group || process.env.ESCROW_TEST_GROUPS || "")
+    .split(",")
+    .map((group) => group.trim())
+    .filter(Boolean);
+  const names = GROUPS.map(([name]) => name);
+  const unknown = groups.filter((group) => !names.includes(group));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown test group(s): ${unknown.join(", ")}`);
+    console.error(`   Groups: ${names.join(", ")}`);
+    return 2;
+  }
+
+  console.log("🎯 Escrow.com API Test Suite");
+  console.log("==============================");
+
+  let tester = null;
+  let summary;
+  try {
+    tester = new EscrowAPITester({
+      groups,
+      target: flags.target,
+      cassette: flags.cassette,
+      recordCassette: flags["record-cassette"],
+    });
+    await tester.initialize();
+    summary = await tester.runTests();
+  } catch (error) {
+    console.error("💥 Fatal error:", error.message);
+    return 1;
+  } finally {
+    if (tester) await tester.cleanup();
+  }
+
+  if (flags.junit) {
+    writeReport(flags.junit, toJUnitXML(tester.run));
+    console.log(`📄 JUnit report written to ${flags.junit}`);
+  }
+  if (flags["json-report"]) {
+    writeReport(flags["json-report"], toJSONReport(tester.run));
+    console.log(`📄 JSON report written to ${flags["json-report"]}`);
+  }
+
+  return summary.failed > 0 ? 1 : 0;
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  );
 }
 
-module.exports = { EscrowAPITester };
+module.exports = { EscrowAPITester, GROUPS, main };
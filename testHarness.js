@@ -0,0 +1,279 @@
+// Escrow.com API - Test Harness
+// The small runner behind test-runner.js: named tests in groups that each
+// pass, fail or are skipped, shape assertions for API responses, and
+// console, JUnit XML and JSON reports. Uses nothing beyond Node itself.
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+// ================================
+// 1. ASSERTIONS
+// ================================
+
+// Thrown by skip() to end the running test as skipped
+class SkipTest extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "SkipTest";
+  }
+}
+
+function skip(reason) {
+  throw new SkipTest(reason);
+}
+
+// Assert that `value` matches `shape`, which is one of
+//   - a type: "string", "number", "boolean", "object", "array" or "any";
+//     a trailing "?" also allows null and undefined ("string?")
+//   - an object mapping keys to shapes (other keys are ignored)
+//   - a one-element array: an array whose entries all match that shape
+function assertShape(value, shape, label = "response") {
+  if (typeof shape === "string") {
+    const optional = shape.endsWith("?");
+    const type = optional ? shape.slice(0, -1) : shape;
+    if (value == null) {
+      if (optional) return;
+      throw new assert.AssertionError({
+        message: `${label} is ${value}, expected ${type}`,
+      });
+    }
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    if (type !== "any" && actual !== type) {
+      throw new assert.AssertionError({
+        message: `${label} is ${actual}, expected ${type}`,
+      });
+    }
+    return;
+  }
+
+  if (Array.isArray(shape)) {
+    assertShape(value, "array", label);
+    value.forEach((entry, i) => assertShape(entry, shape[0], `${label}[${i}]`));
+    return;
+  }
+
+  assertShape(value, "object", label);
+  for (const [key, entry] of Object.entries(shape)) {
+    assertShape(value[key], entry, `${label}.${key}`);
+  }
+}
+
+// Await `fn()` and return the error it rejects with, asserting that it is an
+// instance of ErrorClass
+async function expectError(fn, ErrorClass = Error) {
+  let error = null;
+  try {
+    await fn();
+  } catch (caught) {
+    error = caught;
+  }
+  if (!error) {
+    throw new assert.AssertionError({
+      message: `Expected ${ErrorClass.name}, but the call succeeded`,
+    });
+  }
+  if (!(error instanceof ErrorClass)) {
+    throw new assert.AssertionError({
+      message: `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`,
+    });
+  }
+  return error;
+}
+
+// ================================
+// 2. RUNNER
+// ================================
+
+const STATUS_ICONS = { passed: "✅", failed: "❌", skipped: "⏭️ " };
+
+class TestRun {
+  // Options: groups (names of the groups to run; default all), target
+  // (recorded in reports) and output (stream for progress; default stdout)
+  constructor(options = {}) {
+    this.groups =
+      options.groups && options.groups.length ? options.groups : null;
+    this.target = options.target || null;
+    this.output = options.output || process.stdout;
+    this.results = [];
+    this.currentGroup = null;
+    this.startedAt = new Date();
+  }
+
+  selected(group) {
+    return !this.groups || this.groups.includes(group);
+  }
+
+  // Run `fn` as group `name`, headed by `title`, if the group was selected
+  async group(name, title, fn) {
+    if (!this.selected(name)) return;
+    this.currentGroup = name;
+    this.write(`\n${title}`);
+    try {
+      await fn();
+    } catch (error) {
+      // A failure outside any test, e.g. while starting a stub server
+      this.record("(setup)", "failed", 0, { error });
+    } finally {
+      this.currentGroup = null;
+    }
+  }
+
+  // Run one test. `fn` may return a detail string to print next to the
+  // result, or call skip(reason). Options: skip (a reason to skip it without
+  // running it)
+  async test(name, fn, options = {}) {
+    if (options.skip) {
+      this.record(name, "skipped", 0, { detail: options.skip });
+      return;
+    }
+
+    const started = Date.now();
+    try {
+      const detail = await fn();
+      this.record(name, "passed", Date.now() - started, { detail });
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      if (error instanceof SkipTest) {
+        this.record(name, "skipped", durationMs, { detail: error.message });
+      } else {
+        this.record(name, "failed", durationMs, { error });
+      }
+    }
+  }
+
+  record(name, status, durationMs, { detail, error } = {}) {
+    const result = {
+      group: this.currentGroup,
+      name,
+      status,
+      durationMs,
+      detail: typeof detail === "string" ? detail : null,
+      error: error
+        ? { name: error.name, message: error.message, stack: error.stack }
+        : null,
+    };
+    this.results.push(result);
+
+    let line = `  ${STATUS_ICONS[status]} ${name}`;
+    if (status === "skipped" && result.detail) line += ` (${result.detail})`;
+    else if (result.detail) line += ` — ${result.detail}`;
+    this.write(line);
+    if (error) this.write(`     ${error.name}: ${error.message}`);
+  }
+
+  write(line) {
+    this.output.write(`${line}\n`);
+  }
+
+  summary() {
+    const count = (status) =>
+      this.results.filter((result) => result.status === status).length;
+    return {
+      total: this.results.length,
+      passed: count("passed"),
+      failed: count("failed"),
+      skipped: count("skipped"),
+      durationMs: Date.now() - this.startedAt.getTime(),
+    };
+  }
+}
+
+// ================================
+// 3. REPORTS
+// ================================
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+// One <testsuite> per group
+function toJUnitXML(run, suiteName = "escrow-api") {
+  const summary = run.summary();
+  const groups = [...new Set(run.results.map((result) => result.group))];
+
+  const suites = groups.map((group) => {
+    const results = run.results.filter((result) => result.group === group);
+    const time = results.reduce((sum, result) => sum + result.durationMs, 0);
+    const cases = results.map((result) => {
+      const open = `    <testcase classname="${escapeXML(
+        `${suiteName}.${group}`
+      )}" name="${escapeXML(result.name)}" time="${seconds(
+        result.durationMs
+      )}"`;
+      if (result.status === "failed") {
+        return `${open}>\n      <failure message="${escapeXML(
+          result.error.message
+        )}" type="${escapeXML(result.error.name)}">${escapeXML(
+          result.error.stack || result.error.message
+        )}</failure>\n    </testcase>`;
+      }
+      if (result.status === "skipped") {
+        return `${open}>\n      <skipped message="${escapeXML(
+          result.detail || ""
+        )}"/>\n    </testcase>`;
+      }
+      return `${open}/>`;
+    });
+
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    return [
+      `  <testsuite name="${escapeXML(group)}" tests="${
+        results.length
+      }" failures="${count("failed")}" skipped="${count(
+        "skipped"
+      )}" time="${seconds(time)}">`,
+      ...cases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXML(suiteName)}" tests="${
+      summary.total
+    }" failures="${summary.failed}" skipped="${
+      summary.skipped
+    }" time="${seconds(summary.durationMs)}">`,
+    ...suites,
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+function toJSONReport(run) {
+  return `${JSON.stringify(
+    {
+      startedAt: run.startedAt.toISOString(),
+      target: run.target,
+      summary: run.summary(),
+      results: run.results,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+function writeReport(filePath, content) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+module.exports = {
+  TestRun,
+  SkipTest,
+  skip,
+  assertShape,
+  expectError,
+  toJUnitXML,
+  toJSONReport,
+  writeReport,
+};
@@ -0,0 +1,300 @@
+// Escrow.com API - Fluent Transaction Builder
+// Assembles createTransaction payloads with any number of items and
+// milestones, broker/partner parties, commissions, shipping fees and fee
+// splits, and validates them locally before anything is sent.
+
+const { EscrowUtils, EscrowValidationError } = require("./escrowService");
+const { Money, SUPPORTED_CURRENCIES } = require("./money");
+
+// ================================
+// 1. CONSTANTS
+// ================================
+
+const ITEM_TYPES = [
+  "general_merchandise",
+  "domain_name",
+  "milestone",
+  "motor_vehicle",
+  "broker_fee",
+  "shipping_fee",
+];
+
+const DEFAULT_INSPECTION_DAYS = 3;
+
+// Escrow fee split applied to items that do not set their own
+const DEFAULT_FEE_SPLIT = { buyer: 0.5, seller: 0.5 };
+
+const SPLIT_TOLERANCE = 1e-9;
+
+// ================================
+// 2. BUILDER
+// ================================
+
+class TransactionBuilder {
+  constructor() {
+    this.data = {
+      currency: "usd",
+      description: "",
+      reference: null,
+      parties: [],
+      items: [],
+      feeSplit: { ...DEFAULT_FEE_SPLIT },
+    };
+  }
+
+  currency(currency) {
+    this.data.currency = String(currency).toLowerCase();
+    return this;
+  }
+
+  description(description) {
+    this.data.description = description;
+    return this;
+  }
+
+  reference(reference) {
+    this.data.reference = reference;
+    return this;
+  }
+
+  // Add a party; `extra` is merged into the party object (e.g. { agree: true })
+  party(role, email, extra = {}) {
+    this.data.parties = this.data.parties.filter((p) => p.role !== role);
+    this.data.parties.push({ ...extra, role, customer: email });
+    return this;
+  }
+
+  buyer(email, extra) {
+    return this.party("buyer", email, extra);
+  }
+
+  seller(email, extra) {
+    return this.party("seller", email, extra);
+  }
+
+  broker(email, extra) {
+    return this.party("broker", email, extra);
+  }
+
+  partner(email, extra) {
+    return this.party("partner", email, extra);
+  }
+
+  // Default escrow fee split for items without their own `fees`, keyed by
+  // role or email, e.g. { buyer: 1 } or { buyer: 0.25, seller: 0.75 }
+  feeSplit(split) {
+    this.data.feeSplit = { ...split };
+    return this;
+  }
+
+  // Add an item. Options: title, description, type, amount (Money, decimal
+  // string or number), quantity, inspectionDays or inspectionPeriod
+  // (seconds), payer, beneficiary (role or email), fees ({ role|email: split })
+  // and `extra` fields.
+  addItem(item = {}) {
+    this.data.items.push({
+      type: "general_merchandise",
+      quantity: 1,
+      payer: "buyer",
+      beneficiary: "seller",
+      ...item,
+    });
+    return this;
+  }
+
+  addMilestone(item = {}) {
+    return this.addItem({ ...item, type: "milestone" });
+  }
+
+  // Commission paid to the broker; payer defaults to the buyer
+  addBrokerCommission(amount, options = {}) {
+    return this.addItem({
+      title: "Broker commission",
+      description: "Broker commission",
+      inspectionPeriod: 0,
+      ...options,
+      type: "broker_fee",
+      amount,
+      payer: options.payer || "buyer",
+      beneficiary: options.beneficiary || "broker",
+    });
+  }
+
+  // Shipping paid to the seller; payer defaults to the buyer
+  addShippingFee(amount, options = {}) {
+    return this.addItem({
+      title: "Shipping fee",
+      description: "Shipping fee",
+      inspectionPeriod: 0,
+      ...options,
+      type: "shipping_fee",
+      amount,
+      payer: options.payer || "buyer",
+      beneficiary: options.beneficiary || "seller",
+    });
+  }
+
+  // Validate and return the createTransaction payload; throws an
+  // EscrowValidationError whose `errors` maps fields to messages
+  build() {
+    const errors = {};
+    const addError = (field, message) => {
+      errors[field] = errors[field] || [];
+      errors[field].push(message);
+    };
+
+    const { currency, parties, items } = this.data;
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      const supported = SUPPORTED_CURRENCIES.join(", ");
+      addError(
+        "currency",
+        `unsupported currency "${currency}" (supported: ${supported})`
+      );
+    }
+
+    parties.forEach((party, index) => {
+      if (!EscrowUtils.isValidEmail(party.customer || "")) {
+        addError(`parties[${index}].customer`, "invalid email address");
+      }
+    });
+    ["buyer", "seller"].forEach((role) => {
+      if (!parties.some((party) => party.role === role)) {
+        addError("parties", `a ${role} is required`);
+      }
+    });
+
+    if (items.length === 0) {
+      addError("items", "at least one item is required");
+    }
+
+    const resolve = (who) => {
+      const party = parties.find((p) => p.role === who || p.customer === who);
+      return party ? party.customer : null;
+    };
+
+    const builtItems = items.map((item, index) =>
+      this.buildItem(item, `items[${index}]`, resolve, addError)
+    );
+
+    if (Object.keys(errors).length > 0) {
+      throw new EscrowValidationError(
+        `Invalid transaction: ${Object.entries(errors)
+          .map(([field, messages]) => `${field} ${messages.join(", ")}`)
+          .join("; ")}`,
+        null,
+        { errors }
+      );
+    }
+
+    const payload = {
+      currency,
+      description: this.data.description,
+      parties: parties.map((party) => ({ ...party })),
+      items: builtItems,
+    };
+    if (this.data.reference) payload.reference = this.data.reference;
+    return payload;
+  }
+
+  buildItem(item, field, resolve, addError) {
+    if (!item.title) addError(`${field}.title`, "is required");
+    if (!ITEM_TYPES.includes(item.type)) {
+      addError(`${field}.type`, `unsupported item type "${item.type}"`);
+    }
+
+    // Amounts may be Money, decimal strings or numbers; an unsupported
+    // currency is reported once, on the transaction
+    const currency = SUPPORTED_CURRENCIES.includes(this.data.currency)
+      ? this.data.currency
+      : "usd";
+    let amount = Money.zero(currency);
+    try {
+      amount = Money.of(item.amount, currency);
+    } catch (error) {
+      addError(`${field}.amount`, error.message);
+    }
+    if (!amount.isPositive()) {
+      addError(`${field}.amount`, "must be a positive amount");
+    }
+
+    const inspectionPeriod =
+      item.inspectionPeriod != null
+        ? item.inspectionPeriod
+        : EscrowUtils.daysToSeconds(
+            item.inspectionDays != null
+              ? item.inspectionDays
+              : DEFAULT_INSPECTION_DAYS
+          );
+    if (!Number.isInteger(inspectionPeriod) || inspectionPeriod < 0) {
+      addError(
+        `${field}.inspection_period`,
+        "must be a whole number of seconds"
+      );
+    }
+
+    const payer = resolve(item.payer);
+    const beneficiary = resolve(item.beneficiary);
+    if (!payer) {
+      addError(`${field}.schedule`, `payer "${item.payer}" is not a party`);
+    }
+    if (!beneficiary) {
+      addError(
+        `${field}.schedule`,
+        `beneficiary "${item.beneficiary}" is not a party`
+      );
+    }
+
+    const built = {
+      ...(item.extra || {}),
+      title: item.title,
+      description: item.description || item.title,
+      type: item.type,
+      inspection_period: inspectionPeriod,
+      quantity: item.quantity,
+      schedule: [
+        {
+          amount: amount.toString(),
+          payer_customer: payer,
+          beneficiary_customer: beneficiary,
+        },
+      ],
+    };
+
+    // Broker and shipping fee items carry no escrow fee of their own
+    if (item.type !== "broker_fee" && item.type !== "shipping_fee") {
+      built.fees = this.buildFees(
+        item.fees || this.data.feeSplit,
+        `${field}.fees`,
+        resolve,
+        addError
+      );
+    }
+
+    return built;
+  }
+
+  buildFees(split, field, resolve, addError) {
+    const entries = Object.entries(split);
+    const total = entries.reduce((sum, [, share]) => sum + Number(share), 0);
+    if (Math.abs(total - 1) > SPLIT_TOLERANCE) {
+      addError(field, `splits must sum to 1 (got ${total})`);
+    }
+
+    return entries.map(([who, share]) => {
+      const payer = resolve(who);
+      if (!payer) addError(field, `fee payer "${who}" is not a party`);
+      return {
+        type: "escrow",
+        payer_customer: payer,
+        split: String(share),
+      };
+    });
+  }
+}
+
+module.exports = {
+  TransactionBuilder,
+  SUPPORTED_CURRENCIES,
+  ITEM_TYPES,
+};
@@ -0,0 +1,199 @@
+// Escrow.com API - Transaction Lifecycle State Machine
+// Derives the state of a transaction, each of its items and each schedule
+// entry from the API payload, and lists the actions every party may take
+// next. Tolerates partial payloads (missing parties, items or schedules).
+
+// ================================
+// 1. STATES & ACTIONS
+// ================================
+
+const TRANSACTION_STATES = [
+  "cancelled",
+  "draft",
+  "pending_agreement",
+  "pending_payment",
+  "pending_shipment",
+  "pending_acceptance",
+  "rejected",
+  "completed",
+];
+
+const ITEM_STATES = [
+  "cancelled",
+  "pending_payment",
+  "pending_shipment",
+  "shipped",
+  "received",
+  "accepted",
+  "rejected",
+];
+
+const SCHEDULE_STATES = ["pending_payment", "secured", "disbursed"];
+
+const ACTIONS = ["agree", "cancel", "ship", "receive", "accept", "reject"];
+
+// Item-level actions: which role may take them from which item state
+const ITEM_TRANSITIONS = {
+  ship: { roles: ["seller"], from: ["pending_shipment"], to: "shipped" },
+  receive: { roles: ["buyer"], from: ["shipped"], to: "received" },
+  accept: { roles: ["buyer"], from: ["shipped", "received"], to: "accepted" },
+  reject: { roles: ["buyer"], from: ["shipped", "received"], to: "rejected" },
+};
+
+// Transaction states in which parties can still agree or cancel
+const AGREEABLE_STATES = ["draft", "pending_agreement"];
+const CANCELLABLE_STATES = ["draft", "pending_agreement", "pending_payment"];
+
+// Entries that are not objects (null, strings...) are skipped
+const asArray = (value) =>
+  Array.isArray(value)
+    ? value.filter((entry) => entry && typeof entry === "object")
+    : [];
+
+// ================================
+// 2. STATE DERIVATION
+// ================================
+
+const TransactionStateMachine = {
+  scheduleState(entry = {}) {
+    const status = entry.status || {};
+    if (status.disbursed_to_beneficiary) return "disbursed";
+    if (status.secured) return "secured";
+    return "pending_payment";
+  },
+
+  itemState(item = {}, transaction = {}) {
+    if (transaction.is_cancelled) return "cancelled";
+
+    const status = item.status || {};
+    if (status.rejected) return "rejected";
+    if (status.accepted) return "accepted";
+    if (status.received) return "received";
+    if (status.shipped) return "shipped";
+
+    const schedule = asArray(item.schedule);
+    const secured =
+      schedule.length > 0 &&
+      schedule.every(
+        (entry) => this.scheduleState(entry) !== "pending_payment"
+      );
+    return secured ? "pending_shipment" : "pending_payment";
+  },
+
+  transactionState(transaction = {}) {
+    if (transaction.is_cancelled) return "cancelled";
+    if (transaction.is_draft) return "draft";
+
+    const parties = asArray(transaction.parties);
+    if (parties.length === 0 || !parties.every((party) => party.agreed)) {
+      return "pending_agreement";
+    }
+
+    const itemStates = asArray(transaction.items).map((item) =>
+      this.itemState(item, transaction)
+    );
+    if (itemStates.length === 0) return "pending_payment";
+
+    if (itemStates.includes("pending_payment")) return "pending_payment";
+    if (itemStates.includes("pending_shipment")) return "pending_shipment";
+    if (itemStates.some((state) => ["shipped", "received"].includes(state))) {
+      return "pending_acceptance";
+    }
+    if (itemStates.includes("rejected")) return "rejected";
+    return "completed";
+  },
+
+  // Full breakdown: transaction, per-item and per-schedule-entry states
+  describe(transaction = {}) {
+    return {
+      id: transaction.id,
+      status: this.transactionState(transaction),
+      items: asArray(transaction.items).map((item, index) => ({
+        id: item.id,
+        index,
+        title: item.title,
+        status: this.itemState(item, transaction),
+        schedule: asArray(item.schedule).map((entry) => ({
+          amount: entry.amount,
+          payer_customer: entry.payer_customer,
+          beneficiary_customer: entry.beneficiary_customer,
+          status: this.scheduleState(entry),
+        })),
+      })),
+    };
+  },
+
+  // ================================
+  // 3. ALLOWED ACTIONS
+  // ================================
+
+  // Role ("buyer", "seller", "broker", ...) of a customer email in a
+  // transaction, or null when they are not a party
+  roleOf(transaction = {}, email) {
+    const party = asArray(transaction.parties).find(
+      (p) => p.customer === email
+    );
+    return party ? party.role : null;
+  },
+
+  // Actions `role` may take next; pass itemId to restrict item actions to
+  // one item (a number or a numeric string, as a URL or the CLI gives it).
+  // The acting party's own agreement is read from `email`.
+  allowedActions(transaction = {}, role, itemId = null, email = null) {
+    const state = this.transactionState(transaction);
+    const actions = [];
+    if (!role || state === "cancelled" || state === "completed") {
+      return actions;
+    }
+
+    if (AGREEABLE_STATES.includes(state)) {
+      const party = asArray(transaction.parties).find((p) =>
+        email ? p.customer === email : p.role === role
+      );
+      if (party && !party.agreed) actions.push("agree");
+    }
+    if (CANCELLABLE_STATES.includes(state)) actions.push("cancel");
+
+    const items = asArray(transaction.items).filter(
+      (item) => itemId == null || String(item.id) === String(itemId)
+    );
+    for (const [action, rule] of Object.entries(ITEM_TRANSITIONS)) {
+      const permitted =
+        rule.roles.includes(role) &&
+        items.some((item) =>
+          rule.from.includes(this.itemState(item, transaction))
+        );
+      if (permitted) actions.push(action);
+    }
+
+    return actions;
+  },
+
+  // Allowed actions for every party, keyed by customer email
+  allowedActionsByParty(transaction = {}) {
+    const result = {};
+    asArray(transaction.parties).forEach((party) => {
+      result[party.customer] = this.allowedActions(
+        transaction,
+        party.role,
+        null,
+        party.customer
+      );
+    });
+    return result;
+  },
+
+  canPerform(transaction, role, action, itemId = null, email = null) {
+    return this.allowedActions(transaction, role, itemId, email).includes(
+      action
+    );
+  },
+};
+
+module.exports = {
+  TransactionStateMachine,
+  TRANSACTION_STATES,
+  ITEM_STATES,
+  SCHEDULE_STATES,
+  ACTIONS,
+};
@@ -0,0 +1,247 @@
+// Escrow.com API - Transaction Sync
+// Mirrors transactions and their timeline entries into a local store (see
+// syncStore.js) using listTransactions and getTimeline, compares every
+// fetched transaction with its stored snapshot and emits one event per
+// change. Progress is checkpointed after each page, so a sync interrupted by
+// a crash or restart resumes where it stopped.
+//
+//   const sync = new TransactionSync(escrow, { store });
+//   sync.on("item_shipped", (change) => ...);
+//   await sync.sync();
+
+const { EventEmitter } = require("events");
+const { TransactionStateMachine } = require("./transactionStateMachine");
+const { MemorySyncStore } = require("./syncStore");
+
+// ================================
+// 1. CHANGE DETECTION
+// ================================
+
+// Every change carries { type, transactionId } plus the fields noted here
+const CHANGE_TYPES = [
+  "transaction_created", // status
+  "status_changed", // from, to
+  "transaction_cancelled",
+  "party_agreed", // customer, role
+  "payment_secured", // itemId, amount, payer_customer
+  "item_shipped", // itemId, title
+  "item_received", // itemId, title
+  "item_accepted", // itemId, title
+  "item_rejected", // itemId, title
+  "funds_disbursed", // itemId, amount, beneficiary_customer
+  "timeline_entry", // entry
+];
+
+// Item status flags and the change reported when one turns on
+const ITEM_FLAGS = {
+  shipped: "item_shipped",
+  received: "item_received",
+  accepted: "item_accepted",
+  rejected: "item_rejected",
+};
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// Changes between two snapshots of a transaction; `before` is null for a
+// transaction seen for the first time
+function diffTransactions(before, after) {
+  const transactionId = after.id;
+  const status = TransactionStateMachine.transactionState(after);
+  if (!before) return [{ type: "transaction_created", transactionId, status }];
+
+  const changes = [];
+  const previousStatus = TransactionStateMachine.transactionState(before);
+  if (previousStatus !== status) {
+    changes.push({
+      type: "status_changed",
+      transactionId,
+      from: previousStatus,
+      to: status,
+    });
+  }
+  if (after.is_cancelled && !before.is_cancelled) {
+    changes.push({ type: "transaction_cancelled", transactionId });
+  }
+
+  const previousParties = asArray(before.parties);
+  for (const party of asArray(after.parties)) {
+    const previous = previousParties.find(
+      (p) => p.customer === party.customer && p.role === party.role
+    );
+    if (party.agreed && !(previous && previous.agreed)) {
+      changes.push({
+        type: "party_agreed",
+        transactionId,
+        customer: party.customer,
+        role: party.role,
+      });
+    }
+  }
+
+  const previousItems = asArray(before.items);
+  asArray(after.items).forEach((item, index) => {
+    const previous =
+      previousItems.find((p) => item.id != null && p.id === item.id) ||
+      previousItems[index] ||
+      {};
+    changes.push(...diffItem(transactionId, previous, item));
+  });
+
+  return changes;
+}
+
+function diffItem(transactionId, before, after) {
+  const changes = [];
+  const itemId = after.id;
+  const status = after.status || {};
+  const previousStatus = before.status || {};
+
+  const previousSchedule = asArray(before.schedule);
+  asArray(after.schedule).forEach((entry, index) => {
+    const was = (previousSchedule[index] || {}).status || {};
+    const is = entry.status || {};
+    if (is.secured && !was.secured) {
+      changes.push({
+        type: "payment_secured",
+        transactionId,
+        itemId,
+        amount: entry.amount,
+        payer_customer: entry.payer_customer,
+      });
+    }
+    if (is.disbursed_to_beneficiary && !was.disbursed_to_beneficiary) {
+      changes.push({
+        type: "funds_disbursed",
+        transactionId,
+        itemId,
+        amount: entry.amount,
+        beneficiary_customer: entry.beneficiary_customer,
+      });
+    }
+  });
+
+  for (const [flag, type] of Object.entries(ITEM_FLAGS)) {
+    if (status[flag] && !previousStatus[flag]) {
+      changes.push({ type, transactionId, itemId, title: after.title });
+    }
+  }
+
+  return changes;
+}
+
+// ================================
+// 2. SYNC ENGINE
+// ================================
+
+// Emits each change under its type and as "change", and "synced" with the
+// summary once a pass completes. Events for a transaction fire after its
+// snapshot has been stored.
+class TransactionSync extends EventEmitter {
+  // Options: store (default MemorySyncStore), perPage (default 50) and
+  // timelines (fetch the timeline of new and changed transactions; default
+  // true)
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.store = options.store || new MemorySyncStore();
+    this.perPage = options.perPage || 50;
+    this.timelines = options.timelines !== false;
+  }
+
+  // Run one sync pass over every transaction, oldest first. The listing is
+  // a full scan each time (the API cannot filter by update time); only
+  // timelines are fetched selectively. Resolves to
+  // { resumed, pages, transactions, changes }; `resumed` is true when an
+  // interrupted pass was picked up from its checkpoint. options.signal
+  // aborts the pass; the next call resumes it.
+  async sync(options = {}) {
+    const { signal } = options;
+    const state = (await this.store.getState()) || {};
+    const summary = {
+      resumed: state.nextPage != null,
+      pages: 0,
+      transactions: 0,
+      changes: [],
+    };
+
+    let page = state.nextPage || 1;
+    for (;;) {
+      const response = await this.client.transactions.listTransactions(
+        {
+          page,
+          per_page: this.perPage,
+          sort_by: "id",
+          sort_direction: "asc",
+        },
+        { signal }
+      );
+      const transactions = Array.isArray(response)
+        ? response
+        : asArray(response && response.transactions);
+
+      for (const transaction of transactions) {
+        summary.changes.push(
+          ...(await this.syncTransaction(transaction, { signal }))
+        );
+        summary.transactions++;
+      }
+      summary.pages++;
+
+      const total = response && response.total;
+      const lastPage =
+        transactions.length < this.perPage ||
+        (total != null && page * this.perPage >= total);
+      if (lastPage) break;
+
+      page++;
+      await this.store.saveState({ ...state, nextPage: page });
+    }
+
+    await this.store.saveState({
+      nextPage: null,
+      lastSyncedAt: new Date().toISOString(),
+    });
+    this.emit("synced", summary);
+    return summary;
+  }
+
+  // Store one listed transaction, fetching its timeline if it is new or has
+  // changed; resolves to the changes found
+  async syncTransaction(transaction, requestOptions = {}) {
+    const previous = await this.store.getTransaction(transaction.id);
+    const changes = diffTransactions(previous, transaction);
+
+    // Also fetched when no timeline is stored yet, e.g. for transactions
+    // mirrored earlier with timelines: false
+    const storedTimeline = await this.store.getTimeline(transaction.id);
+    if (this.timelines && (changes.length > 0 || !storedTimeline)) {
+      const response = await this.client.transactions.getTimeline(
+        transaction.id,
+        requestOptions
+      );
+      const entries = Array.isArray(response)
+        ? response
+        : asArray(response && response.timeline_entries);
+      const known = new Set(asArray(storedTimeline).map((entry) => entry.id));
+      for (const entry of entries) {
+        if (!known.has(entry.id)) {
+          changes.push({
+            type: "timeline_entry",
+            transactionId: transaction.id,
+            entry,
+          });
+        }
+      }
+      await this.store.saveTimeline(transaction.id, entries);
+    }
+
+    await this.store.saveTransaction(transaction);
+    for (const change of changes) {
+      this.emit(change.type, change);
+      this.emit("change", change);
+    }
+    return changes;
+  }
+}
+
+module.exports = { TransactionSync, diffTransactions, CHANGE_TYPES };
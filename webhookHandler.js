@@ -0,0 +1,271 @@
+// Escrow.com API - Webhook Receiver
+// Receives the calls made to URLs registered with
+// EscrowCustomer.createWebhook(url): verifies the payload signature, parses
+// the event, drops retried deliveries and dispatches to typed handlers.
+
+const crypto = require("crypto");
+const { EscrowError } = require("./escrowService");
+const { MemoryIdempotencyStore } = require("./idempotencyStore");
+const { silentLogger } = require("./logger");
+
+// ================================
+// 1. EVENTS & ERRORS
+// ================================
+
+// Escrow event names mapped to the handler registration helpers
+const WEBHOOK_EVENTS = {
+  agreed: ["agree"],
+  paymentSecured: ["payment_approved", "payment_secured"],
+  shipped: ["ship"],
+  received: ["receive"],
+  accepted: ["accept"],
+  rejected: ["reject"],
+  cancelled: ["cancel"],
+  completed: ["complete"],
+  disbursed: ["payment_disbursed"],
+};
+
+const DEFAULT_SIGNATURE_HEADER = "x-escrow-signature";
+const DEFAULT_DELIVERY_HEADER = "x-escrow-delivery-id";
+
+// Raised for deliveries that must be refused; statusCode is the HTTP status
+// sent back to Escrow
+class EscrowWebhookError extends EscrowError {
+  constructor(message, statusCode) {
+    super(message, statusCode, null);
+    this.name = "EscrowWebhookError";
+  }
+}
+
+function sign(secret, rawBody) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// ================================
+// 2. WEBHOOK HANDLER
+// ================================
+
+class EscrowWebhookHandler {
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error("EscrowWebhookHandler requires a signing secret");
+    }
+    this.secret = options.secret;
+    this.signatureHeader = options.signatureHeader || DEFAULT_SIGNATURE_HEADER;
+    this.deliveryHeader = options.deliveryHeader || DEFAULT_DELIVERY_HEADER;
+    // Delivery ids already processed; same interface as the idempotency stores
+    this.store = options.store || new MemoryIdempotencyStore();
+    // Rejected deliveries are logged here; see logger.js
+    this.logger = options.logger || silentLogger;
+    this.handlers = new Map();
+  }
+
+  // Register a handler for a raw Escrow event name, or "*" for every event
+  on(event, handler) {
+    const handlers = this.handlers.get(event) || [];
+    handlers.push(handler);
+    this.handlers.set(event, handlers);
+    return this;
+  }
+
+  onAgreed(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.agreed, handler);
+  }
+
+  onPaymentSecured(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.paymentSecured, handler);
+  }
+
+  onShipped(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.shipped, handler);
+  }
+
+  onReceived(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.received, handler);
+  }
+
+  onAccepted(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.accepted, handler);
+  }
+
+  onRejected(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.rejected, handler);
+  }
+
+  onCancelled(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.cancelled, handler);
+  }
+
+  onCompleted(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.completed, handler);
+  }
+
+  onDisbursed(handler) {
+    return this.onEvents(WEBHOOK_EVENTS.disbursed, handler);
+  }
+
+  onEvents(events, handler) {
+    events.forEach((event) => this.on(event, handler));
+    return this;
+  }
+
+  // Constant-time comparison of the received signature with our own
+  verifySignature(rawBody, signature) {
+    if (!signature) return false;
+    const expected = Buffer.from(sign(this.secret, rawBody), "utf8");
+    const received = Buffer.from(String(signature), "utf8");
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  // Verify, parse, deduplicate and dispatch one delivery. Resolves to
+  // { event, duplicate }; throws EscrowWebhookError for refused deliveries.
+  async handle(rawBody, headers = {}) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody);
+    const header = (name) => headers[name] || headers[name.toLowerCase()];
+
+    if (!this.verifySignature(body, header(this.signatureHeader))) {
+      throw new EscrowWebhookError("Invalid webhook signature", 401);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      throw new EscrowWebhookError("Webhook payload is not valid JSON", 400);
+    }
+    if (!event || !event.event) {
+      throw new EscrowWebhookError("Webhook payload has no event name", 400);
+    }
+
+    // Retried deliveries reuse the delivery id; fall back to a body hash
+    const deliveryId =
+      header(this.deliveryHeader) ||
+      crypto.createHash("sha256").update(body).digest("hex");
+    if (await this.store.get(deliveryId)) {
+      return { event, duplicate: true };
+    }
+
+    const handlers = [
+      ...(this.handlers.get(event.event) || []),
+      ...(this.handlers.get("*") || []),
+    ];
+    for (const handler of handlers) {
+      await handler(event);
+    }
+
+    await this.store.set(deliveryId, {
+      method: "WEBHOOK",
+      endpoint: event.event,
+      result: null,
+      createdAt: Date.now(),
+    });
+    return { event, duplicate: false };
+  }
+
+  // Request listener for http.createServer(handler.listener()). A body
+  // that cannot be read (e.g. the sender hung up) is answered with 400.
+  listener() {
+    return async (req, res) => {
+      let rawBody;
+      try {
+        rawBody = await readRawBody(req);
+      } catch (error) {
+        this.logger.warn("Webhook delivery could not be read", {
+          status: 400,
+          error: error.message,
+        });
+        if (!res.headersSent) {
+          res.statusCode = 400;
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify({ error: "Request body could not be read" }));
+        }
+        return;
+      }
+      await this.respond(rawBody, req.headers, res);
+    };
+  }
+
+  // Express-style middleware. Works with express.raw() / express.text()
+  // bodies; JSON-parsed bodies cannot be verified, so the raw stream is read
+  // when no Buffer or string body is present.
+  middleware() {
+    return async (req, res, next) => {
+      try {
+        const rawBody =
+          Buffer.isBuffer(req.body) || typeof req.body === "string"
+            ? req.body
+            : await readRawBody(req);
+        await this.respond(rawBody, req.headers, res);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  async respond(rawBody, headers, res) {
+    let status = 200;
+    let payload = { received: true };
+
+    try {
+      const { duplicate } = await this.handle(rawBody, headers);
+      payload.duplicate = duplicate;
+    } catch (error) {
+      // Handler failures answer 500 so Escrow retries the delivery
+      status = error instanceof EscrowWebhookError ? error.statusCode : 500;
+      payload = { error: error.message };
+      this.logger.warn("Webhook delivery rejected", {
+        status,
+        error: error.message,
+      });
+    }
+
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(payload));
+  }
+}
+
+// ================================
+// 3. TEST HELPERS
+// ================================
+
+// Build a signed sample delivery: { body, headers } ready to POST to a
+// handler. `event` is merged over a minimal payload.
+function buildSignedWebhook(secret, event = {}, options = {}) {
+  const payload = {
+    event: "agree",
+    event_type: "transaction",
+    transaction_id: 1000,
+    party: "buyer",
+    ...event,
+  };
+  const body = JSON.stringify(payload);
+  return {
+    body,
+    headers: {
+      "content-type": "application/json",
+      [options.signatureHeader || DEFAULT_SIGNATURE_HEADER]: sign(secret, body),
+      [options.deliveryHeader || DEFAULT_DELIVERY_HEADER]:
+        options.deliveryId || crypto.randomUUID(),
+    },
+  };
+}
+
+module.exports = {
+  EscrowWebhookHandler,
+  EscrowWebhookError,
+  WEBHOOK_EVENTS,
+  buildSignedWebhook,
+};